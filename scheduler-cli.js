@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// Runs the scheduler on a backup file from the terminal: auto-schedules one week, prints the same conflict and
+// quality report as the validation panel and writes the result as a backup file and/or the page's Excel layout.
+// Usage: node scheduler-cli.js <backup.json> [--week A|B] [--seed N] [--move-auto] [--no-auto] [--out file.json] [--excel file.xlsx]
+const fs = require('fs');
+const SchedulerCore = require('./scheduler-core.js');
+
+const { toPersianNumber, cleanName, getWeekName, describeIssue, UNPLACED_REASON_TEXT } = SchedulerCore;
+
+const USAGE = `استفاده: node scheduler-cli.js <فایل پشتیبان.json> [گزینه‌ها]
+  --week A|B         هفته‌ای که چیده و بررسی می‌شود (پیش‌فرض: هفته فعال در فایل)
+  --seed N           عدد شروع چیدمان خودکار (پیش‌فرض: آخرین عدد ذخیره‌شده یا ۱)
+  --move-auto        دروسی که قبلاً خودکار چیده شده‌اند هم جابه‌جا شوند
+  --no-auto          فقط گزارش؛ چیدمان خودکار اجرا نشود
+  --out <file.json>  ذخیره نتیجه به صورت فایل پشتیبان
+  --excel <file>     ذخیره برنامه هفته به صورت فایل اکسل`;
+
+class CliError extends Error {}
+
+const parseArgs = (argv) => {
+    const options = { file: null, week: null, seed: null, moveAutoPlaced: false, auto: true, out: null, excel: null };
+    const valueOf = (flag, i) => {
+        if (i >= argv.length || argv[i].startsWith('--')) throw new CliError(`گزینه ${flag} به یک مقدار نیاز دارد.`);
+        return argv[i];
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--week') options.week = valueOf(arg, ++i).toUpperCase();
+        else if (arg === '--seed') options.seed = parseInt(valueOf(arg, ++i));
+        else if (arg === '--move-auto') options.moveAutoPlaced = true;
+        else if (arg === '--no-auto') options.auto = false;
+        else if (arg === '--out') options.out = valueOf(arg, ++i);
+        else if (arg === '--excel') options.excel = valueOf(arg, ++i);
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else if (arg.startsWith('--') || options.file) throw new CliError(`گزینه ناشناخته: ${arg}`);
+        else options.file = arg;
+    }
+    if (options.week && !['A', 'B'].includes(options.week)) throw new CliError('هفته باید A یا B باشد.');
+    if (options.seed !== null && isNaN(options.seed)) throw new CliError('عدد شروع باید یک عدد صحیح باشد.');
+    return options;
+};
+
+const loadBackup = (file) => {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new CliError(`خطا در خواندن فایل پشتیبان "${file}": ${err.message}`);
+    }
+    if (!SchedulerCore.isBackupData(data)) throw new CliError(`فایل "${file}" یک فایل پشتیبان معتبر نیست.`);
+    return SchedulerCore.normalizeState(data);
+};
+
+// SheetJS is only needed for --excel, so it is loaded on demand.
+const loadXLSX = () => {
+    try {
+        return require('xlsx');
+    } catch (err) {
+        if (err.code !== 'MODULE_NOT_FOUND') throw err;
+        throw new CliError('برای خروجی اکسل کتابخانه SheetJS لازم است. آن را با "npm install xlsx" نصب کنید.');
+    }
+};
+
+const printReport = (core, week, result) => {
+    const lines = [];
+    const stats = core.computeWeekStats(week);
+    lines.push(`آمار کلی هفته ${getWeekName(week)}`);
+    lines.push(`  دروس جایابی شده: ${toPersianNumber(stats.placedLessons)} از ${toPersianNumber(stats.totalLessons)}`);
+    lines.push(`  ساعت‌های جایابی شده: ${toPersianNumber(stats.placedHours)} از ${toPersianNumber(stats.totalHours)}`);
+
+    if (result) {
+        lines.push('', `چیدمان خودکار: ${toPersianNumber(result.placements.length)} جلسه چیده شد و ${toPersianNumber(result.unplaced.length)} جلسه باقی ماند.`);
+        result.unplaced.forEach(({ lessonId, reason }) => {
+            const lesson = core.getLessonById(lessonId);
+            lines.push(`  - ${cleanName(lesson?.name)} (${cleanName(core.getClassById(lesson?.classId)?.name || '')}): ${UNPLACED_REASON_TEXT[reason]}`);
+        });
+    }
+
+    const issues = core.findScheduleIssues(week);
+    lines.push('', 'تداخل‌ها');
+    if (issues.length === 0) lines.push('  هیچ تداخلی یافت نشد.');
+    issues.forEach(issue => lines.push(`  - ${describeIssue(issue)}`));
+
+    const { score, teachers, subjects } = core.computeScheduleQuality(week);
+    lines.push('', `کیفیت برنامه: ${toPersianNumber(score)} از ${toPersianNumber(100)}`);
+    teachers.filter(t => t.gaps + t.singlePeriodDays > 0).forEach(t => {
+        lines.push(`  - ${t.name}: ${toPersianNumber(t.days)} روز حضور، ${toPersianNumber(t.gaps)} زنگ خالی، ${toPersianNumber(t.singlePeriodDays)} روز تک‌زنگ`);
+    });
+    subjects.filter(s => s.duplicates > 0).forEach(s => {
+        const days = Object.keys(s.days).filter(day => s.days[day] > 1).join('، ');
+        lines.push(`  - ${s.name} (${cleanName(core.getClassById(s.classId)?.name || '')}): بیش از یک جلسه در ${days}`);
+    });
+
+    console.log(lines.join('\n'));
+};
+
+const main = () => {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || !options.file) {
+        console.log(USAGE);
+        if (!options.help) process.exitCode = 1;
+        return;
+    }
+
+    const state = loadBackup(options.file);
+    const core = SchedulerCore.createScheduleCore(() => state);
+    const week = options.week || state.activeWeek;
+    const XLSX = options.excel ? loadXLSX() : null;
+
+    let result = null;
+    if (options.auto) {
+        const seed = options.seed ?? (state.settings.autoScheduleSeed || 1);
+        result = core.autoScheduleWeek(week, { seed, moveAutoPlaced: options.moveAutoPlaced });
+        state.settings.autoScheduleSeed = seed;
+        state.changeLog.unshift({
+            time: new Date().toISOString(),
+            description: `چیدمان خودکار از خط فرمان (عدد شروع ${toPersianNumber(seed)}): ${toPersianNumber(result.placements.length)} جلسه چیده شد و ${toPersianNumber(result.unplaced.length)} جلسه باقی ماند.`,
+        });
+        state.changeLog = state.changeLog.slice(0, 100);
+    }
+    core.assignRooms('A');
+    core.assignRooms('B');
+
+    printReport(core, week, result);
+
+    if (options.out) {
+        fs.writeFileSync(options.out, JSON.stringify(state));
+        console.log(`\nفایل پشتیبان در "${options.out}" ذخیره شد.`);
+    }
+    if (XLSX) {
+        XLSX.writeFile(core.buildScheduleWorkbook(XLSX, week), options.excel);
+        console.log(`فایل اکسل در "${options.excel}" ذخیره شد.`);
+    }
+};
+
+try {
+    main();
+} catch (err) {
+    if (!(err instanceof CliError)) throw err;
+    console.error(err.message);
+    process.exitCode = 1;
+}
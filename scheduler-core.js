@@ -0,0 +1,1374 @@
+// Schedule data model and rules: lookups, placement, conflicts, constraints, validation, automatic scheduling and
+// spreadsheet import. Nothing here touches the DOM, so the page and Node.js scripts share the same rules.
+// The page binds one core to its state with createScheduleCore(() => state); in Node.js, require() this file.
+(() => {
+    if (typeof require === 'function' && !globalThis.SchedulerEngine) require('./scheduler-engine.js');
+
+    const ALL_DAYS = ['شنبه', 'یکشنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنج‌شنبه'];
+    const DEFAULT_BELL_TIMES = [
+        { start: '07:30', end: '09:00' },
+        { start: '09:15', end: '10:45' },
+        { start: '11:00', end: '12:30' },
+        { start: '12:45', end: '14:15' },
+    ];
+    const MAX_PERIODS_PER_DAY = 8;
+    // A placed period counts as `hourMultiplier` teaching hours (2 unless the teacher's contract says otherwise).
+    const DEFAULT_HOUR_MULTIPLIER = 2;
+
+    // Which of the two weeks a lesson runs in; lessons saved before patterns existed run every week.
+    const WEEK_PATTERN_TEXT = {
+        every: 'هر هفته',
+        A: 'فقط هفته الف',
+        B: 'فقط هفته ب',
+        alternating: 'یک هفته در میان',
+    };
+
+    // Why the engine left a session unplaced, keyed by the `reason` of each entry in its `unplaced` list.
+    const UNPLACED_REASON_TEXT = {
+        span: 'بخش ادغام‌شده‌ای با طول کافی برای این درس وجود ندارد.',
+        blocked: 'تمام زنگ‌های این کلاس پر یا قفل شده‌اند.',
+        teacher: 'دبیر در تمام زنگ‌های خالی این کلاس، کلاس دیگری دارد.',
+        room: 'اتاق درس در تمام زنگ‌های خالی این کلاس اشغال است.',
+        capacity: 'هیچ اتاقی از نوع مورد نیاز این درس گنجایش دانش‌آموزان کلاس‌های آن را ندارد.',
+        sameDay: 'در روزهای باقی‌مانده جلسه دیگری از همین درس قرار دارد.',
+        rules: 'قوانین حجم کار دبیر (سقف زنگ روزانه یا تعداد روزهای حضور) جای دیگری باقی نمی‌گذارد.',
+        mixed: 'ترکیب تداخل دبیر، اتاق و زنگ‌های پر کلاس، جای خالی باقی نگذاشته است.',
+    };
+
+    const createDefaultBellSchedule = () => Object.fromEntries(ALL_DAYS.map(day => [day, DEFAULT_BELL_TIMES.map(bell => ({ ...bell }))]));
+
+    const createDefaultState = () => ({
+        teachers: [],
+        lessons: [],
+        classes: [],
+        rooms: [],
+        constraints: { unavailable: [], teacherRules: {} },
+        schedule: { A: {}, B: {} },
+        merges: { A: [], B: [] },
+        changeLog: [],
+        substitutions: [],
+        lessonColors: {},
+        fieldColors: {},
+        activeHighlights: [],
+        activeWeek: 'A',
+        settings: {
+            bwPrint: false,
+            integratedView: false,
+            isSixDayWeek: true,
+            syncWeeks: false,
+            bellSchedule: createDefaultBellSchedule(),
+        },
+    });
+
+    // Fills in whatever a saved state or backup file from an older version leaves out.
+    const normalizeState = (loaded) => {
+        const defaults = createDefaultState();
+        const state = {
+            ...defaults,
+            ...loaded,
+            // Each week is defaulted on its own: a backup may carry `schedule: {}` or only one of the weeks.
+            schedule: { A: {}, B: {}, ...(loaded.schedule || {}) },
+            merges: { A: [], B: [], ...(loaded.merges || {}) },
+            changeLog: loaded.changeLog || [],
+            substitutions: loaded.substitutions || [],
+            constraints: { unavailable: [], teacherRules: {}, ...(loaded.constraints || {}) },
+            activeHighlights: loaded.activeHighlights || [],
+            settings: { ...defaults.settings, ...(loaded.settings || {}) },
+        };
+        state.settings.bellSchedule = { ...createDefaultBellSchedule(), ...(state.settings.bellSchedule || {}) };
+        return state;
+    };
+
+    const isBackupData = (data) => Boolean(data?.teachers && data.lessons && data.classes && data.schedule);
+
+    const toPersianNumber = (n) => n != null ? n.toString().replace(/\d/g, d => '۰۱۲۳۴۵۶۷۸۹' [d]) : '';
+    const formatBellTime = (bell) => bell ? `${toPersianNumber(bell.start)} - ${toPersianNumber(bell.end)}` : '';
+    const cleanName = (name) => name ? name.toString().replace(/^\d+-\s*/, '') : '';
+
+    const getLessonSessions = (lesson) => lesson?.sessions || 1;
+    const getLessonWeekPattern = (lesson) => WEEK_PATTERN_TEXT[lesson?.weekPattern] ? lesson.weekPattern : 'every';
+    const getOtherWeek = (week) => week === 'A' ? 'B' : 'A';
+    const getWeekName = (week) => week === 'A' ? 'الف' : 'ب';
+    // The school day of a calendar date, or undefined on Friday (Date.getDay counts from Sunday).
+    const getDayOfDate = (date) => ['یکشنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنج‌شنبه', undefined, 'شنبه'][date.getDay()];
+    const parseWeekPattern = (value) => {
+        const text = value?.toString().trim() || '';
+        if (text.includes('میان')) return 'alternating';
+        if (text === 'A' || text.endsWith('الف')) return 'A';
+        if (text === 'B' || text === 'ب' || text.endsWith(' ب')) return 'B';
+        return 'every';
+    };
+
+    // A joint lesson is taught to several classes at once; `classId` stays its primary class.
+    const getLessonClassIds = (lesson) => lesson ? [lesson.classId, ...(lesson.jointClassIds || [])] : [];
+    // A lesson either names its room or asks for a room type; typed lessons carry the assigned room on each entry.
+    const getEntryRoomId = (lesson, entry) => lesson?.roomId || entry?.roomId || null;
+
+    // Teachers list the subjects they are qualified for; a lesson matches a subject its name contains, so «ریاضی»
+    // covers «ریاضی ۲». Returns null for teachers who haven't listed any subjects.
+    const parseSubjects = (text) => [...new Set((text || '').toString().split(/[،,;\n]/).map(subject => subject.trim()).filter(Boolean))];
+    const isTeacherQualified = (teacher, lesson) => {
+        if (!teacher?.subjects?.length) return null;
+        const lessonName = cleanName(lesson?.name);
+        return teacher.subjects.some(subject => lessonName.includes(subject));
+    };
+
+    const generateColorFromString = (str) => {
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            hash = str.charCodeAt(i) + ((hash << 5) - hash);
+        }
+        let color = '#';
+        for (let i = 0; i < 3; i++) {
+            const value = (hash >> (i * 8)) & 0xFF;
+            color += `00${(value & 0x7F | 0x80).toString(16)}`.slice(-2);
+        }
+        return color;
+    };
+
+    // Finds the column of a spreadsheet row (as XLSX.utils.sheet_to_json returns it) by any of its possible titles.
+    const findKey = (row, possibleKeys) => {
+        const rowKeys = Object.keys(row).map(k => k.trim().toLowerCase());
+        for (const pKey of possibleKeys) {
+            const keyIndex = rowKeys.indexOf(pKey.toLowerCase());
+            if (keyIndex !== -1) {
+                return Object.keys(row)[keyIndex];
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Binds the schedule rules to one state object. `getState` is called on every use, so the caller may replace
+     * its state (restore, undo) without creating a new core.
+     */
+    const createScheduleCore = (getState) => {
+        const getActiveDays = () => getState().settings.isSixDayWeek ? ALL_DAYS : ALL_DAYS.slice(0, 5);
+
+        // Bell schedule helpers: every day has its own list of periods, each with a start and end time.
+        const getDayPeriods = (day) => getState().settings.bellSchedule?.[day]?.length || DEFAULT_BELL_TIMES.length;
+        const getMaxPeriods = () => Math.max(...getActiveDays().map(getDayPeriods));
+        const getBellTime = (day, period) => getState().settings.bellSchedule?.[day]?.[period - 1] || null;
+
+        const getRoomTypes = () => [...new Set(getState().rooms.map(r => r.type).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+        // Maps by id for the entity arrays, rebuilt lazily whenever an array is replaced or changes length
+        // (items are never swapped in place and ids never change).
+        const entityMaps = {};
+        const getEntityMap = (arrayName) => {
+            const items = getState()[arrayName];
+            let cached = entityMaps[arrayName];
+            if (!cached || cached.items !== items || cached.size !== items.length) {
+                cached = entityMaps[arrayName] = { items, size: items.length, map: new Map(items.map(item => [item.id, item])) };
+            }
+            return cached.map;
+        };
+        const getLessonById = (id) => getEntityMap('lessons').get(id);
+        const getTeacherById = (id) => getEntityMap('teachers').get(id);
+        const getClassById = (id) => getEntityMap('classes').get(id);
+        const getRoomById = (id) => getEntityMap('rooms').get(id);
+
+        const getLessonClassNames = (lesson) => getLessonClassIds(lesson).map(id => cleanName(getClassById(id)?.name || '')).filter(Boolean).join('، ');
+
+        const getTeacherHourMultiplier = (teacherOrId) => {
+            const teacher = typeof teacherOrId === 'string' ? getTeacherById(teacherOrId) : teacherOrId;
+            return teacher?.hourMultiplier || DEFAULT_HOUR_MULTIPLIER;
+        };
+
+        // Sessions placed per lesson in one week, counted by their start entries; joint copies count once.
+        const countPlacedSessions = (week = getState().activeWeek) => {
+            const starts = new Set();
+            Object.values(getState().schedule[week]).forEach(classSchedule => {
+                Object.entries(classSchedule).forEach(([key, slot]) => {
+                    slot.forEach(entry => {
+                        if (entry.isStart) starts.add(`${entry.lessonId}|${key}`);
+                    });
+                });
+            });
+            const counts = new Map();
+            starts.forEach(start => {
+                const lessonId = start.split('|')[0];
+                counts.set(lessonId, (counts.get(lessonId) || 0) + 1);
+            });
+            return counts;
+        };
+
+        const getPlacedCountsByWeek = () => ({ A: countPlacedSessions('A'), B: countPlacedSessions('B') });
+
+        // Sessions a lesson needs in one week: every-week lessons need all of them in both weeks, single-week lessons
+        // only in their own week, and alternating lessons whatever the other week has not taken yet.
+        const getWeekSessionTarget = (lesson, week, placedCounts = getPlacedCountsByWeek()) => {
+            const pattern = getLessonWeekPattern(lesson);
+            if (pattern === 'alternating') return Math.max(getLessonSessions(lesson) - (placedCounts[getOtherWeek(week)].get(lesson.id) || 0), 0);
+            return pattern === 'every' || pattern === week ? getLessonSessions(lesson) : 0;
+        };
+
+        const getRemainingSessions = (lesson, week = getState().activeWeek, placedCounts = getPlacedCountsByWeek()) =>
+            Math.max(getWeekSessionTarget(lesson, week, placedCounts) - (placedCounts[week].get(lesson.id) || 0), 0);
+
+        /**
+         * Per week: teacherId → slot key → placed entries, and roomId → slot key → placed entries, each as { lessonId, classId, entry }.
+         * placeLessonInSchedule and removeLessonFromSchedule keep the index current; code that rewrites a week wholesale
+         * calls invalidateSlotIndex, and an index built for a week object that has since been replaced is dropped on the next read.
+         */
+        const slotIndexes = { A: null, B: null };
+
+        const updateSlotIndex = (week, classId, key, entry, add) => {
+            const index = slotIndexes[week];
+            if (!index || index.schedule !== getState().schedule[week]) return;
+            const lesson = getLessonById(entry.lessonId);
+            if (!lesson) return;
+            [['teacher', lesson.teacherId], ['room', getEntryRoomId(lesson, entry)]].forEach(([type, ownerId]) => {
+                if (!ownerId) return;
+                if (!index[type].has(ownerId)) index[type].set(ownerId, new Map());
+                const slots = index[type].get(ownerId);
+                const records = (slots.get(key) || []).filter(record => record.entry !== entry);
+                if (add) records.push({ lessonId: lesson.id, classId, entry });
+                if (records.length > 0) slots.set(key, records);
+                else slots.delete(key);
+            });
+        };
+
+        const buildSlotIndex = (week) => {
+            const state = getState();
+            slotIndexes[week] = { schedule: state.schedule[week], teacher: new Map(), room: new Map() };
+            Object.entries(state.schedule[week]).forEach(([classId, classSchedule]) => {
+                Object.entries(classSchedule).forEach(([key, slot]) => {
+                    slot.forEach(entry => updateSlotIndex(week, classId, key, entry, true));
+                });
+            });
+            return slotIndexes[week];
+        };
+
+        const getSlotIndex = (week = getState().activeWeek) => {
+            const index = slotIndexes[week];
+            return index && index.schedule === getState().schedule[week] ? index : buildSlotIndex(week);
+        };
+
+        const invalidateSlotIndex = (week = null) => {
+            if (week) slotIndexes[week] = null;
+            else slotIndexes.A = slotIndexes.B = null;
+        };
+
+        const getTeacherSlots = (teacherId, week = getState().activeWeek) => getSlotIndex(week).teacher.get(teacherId) || new Map();
+        const getRoomSlots = (roomId, week = getState().activeWeek) => getSlotIndex(week).room.get(roomId) || new Map();
+
+        // The merge covering one period of a class row, if any.
+        const findMerge = (week, classId, day, period) =>
+            getState().merges[week].find(m => m.classId === classId && m.day === day && period >= m.startPeriod && period < m.startPeriod + m.count);
+
+        // --- Placement ---
+        // Joint lessons are written into the row of every linked class.
+        const placeLessonInSchedule = (classId, day, startPeriod, lesson, { auto = false, pinned = false, week = getState().activeWeek, schedule = getState().schedule[week] } = {}) => {
+            const classIds = getLessonClassIds(lesson).includes(classId) ? getLessonClassIds(lesson) : [classId];
+
+            classIds.forEach(rowClassId => {
+                if (!schedule[rowClassId]) schedule[rowClassId] = {};
+                for (let i = 0; i < lesson.periods; i++) {
+                    const period = startPeriod + i;
+                    const key = `${day}_${period}`;
+                    if (!schedule[rowClassId][key]) {
+                        schedule[rowClassId][key] = [];
+                    }
+                    const entry = {
+                        lessonId: lesson.id,
+                        isStart: i === 0,
+                        ...(auto && { auto: true }),
+                        ...(pinned && { pinned: true })
+                    };
+                    schedule[rowClassId][key].push(entry);
+                    if (schedule === getState().schedule[week]) updateSlotIndex(week, rowClassId, key, entry, true);
+                }
+            });
+        };
+
+        const removeLessonFromSchedule = (classId, lessonIdToRemove, startKey, week = getState().activeWeek) => {
+            const state = getState();
+            const lesson = getLessonById(lessonIdToRemove);
+            if (!state.schedule[week][classId] || !lesson || !startKey) {
+                console.error("Remove failed: missing data", { classId, lessonIdToRemove, startKey });
+                return;
+            }
+
+            const [day, periodStr] = startKey.split('_');
+            const startPeriod = parseInt(periodStr);
+
+            new Set([classId, ...getLessonClassIds(lesson)]).forEach(rowClassId => {
+                const schedule = state.schedule[week][rowClassId];
+                if (!schedule) return;
+                for (let i = 0; i < lesson.periods; i++) {
+                    const key = `${day}_${startPeriod + i}`;
+                    if (schedule[key]) {
+                        schedule[key].filter(entry => entry.lessonId === lessonIdToRemove).forEach(entry => updateSlotIndex(week, rowClassId, key, entry, false));
+                        schedule[key] = schedule[key].filter(entry => entry.lessonId !== lessonIdToRemove);
+                        if (schedule[key].length === 0) {
+                            delete schedule[key];
+                        }
+                    }
+                }
+            });
+        };
+
+        // The entries of one placed session in every class row it occupies.
+        const getPlacementEntries = (classId, lessonId, startKey, week = getState().activeWeek) => {
+            const lesson = getLessonById(lessonId);
+            if (!lesson) return [];
+            const [day, periodStr] = startKey.split('_');
+            return [...new Set([classId, ...getLessonClassIds(lesson)])].flatMap(rowClassId => {
+                const schedule = getState().schedule[week][rowClassId] || {};
+                return Array.from({ length: lesson.periods }, (_, i) => schedule[`${day}_${parseInt(periodStr) + i}`]?.find(e => e.lessonId === lessonId))
+                    .filter(Boolean);
+            });
+        };
+
+        const isPlacementPinned = (classId, lessonId, startKey, week = getState().activeWeek) =>
+            getPlacementEntries(classId, lessonId, startKey, week).some(entry => entry.pinned);
+
+        // Removes every placement of a week, or every one except pinned ones together with the merges that no longer hold a lesson.
+        const clearWeek = (week, { keepPinned = false } = {}) => {
+            const state = getState();
+            if (!keepPinned) {
+                Object.keys(state.schedule[week]).forEach(classId => {
+                    state.schedule[week][classId] = {};
+                });
+                state.merges[week] = [];
+            } else {
+                Object.values(state.schedule[week]).forEach(classSchedule => {
+                    Object.keys(classSchedule).forEach(key => {
+                        classSchedule[key] = classSchedule[key].filter(entry => entry.pinned);
+                        if (classSchedule[key].length === 0) delete classSchedule[key];
+                    });
+                });
+                state.merges[week] = state.merges[week].filter(m =>
+                    Array.from({ length: m.count }, (_, i) => state.schedule[week][m.classId]?.[`${m.day}_${m.startPeriod + i}`]).some(Boolean));
+            }
+            invalidateSlotIndex(week);
+        };
+
+        // Whether every class row `lesson` is written into has a cell span for it at `startKey`: a merge that starts there
+        // and is long enough, or a plain cell for a one-period lesson. A joint lesson needs the same span in each linked row.
+        const fitsCellSpans = (lesson, classId, startKey, week = getState().activeWeek) => {
+            const [day, periodStr] = startKey.split('_');
+            const startPeriod = parseInt(periodStr);
+            const classIds = getLessonClassIds(lesson).includes(classId) ? getLessonClassIds(lesson) : [classId];
+            return classIds.every(rowClassId => {
+                const merge = findMerge(week, rowClassId, day, startPeriod);
+                return merge ? merge.startPeriod === startPeriod && merge.count >= lesson.periods : lesson.periods <= 1;
+            });
+        };
+
+        // Whether a session of `lesson` starting at `startKey` fits into empty cells of `week`, merges and teacher included.
+        const fitsEmptySlot = (lesson, classId, startKey, week) => {
+            const state = getState();
+            const [day, periodStr] = startKey.split('_');
+            const startPeriod = parseInt(periodStr);
+            if (startPeriod + lesson.periods - 1 > getDayPeriods(day)) return false;
+            if (!fitsCellSpans(lesson, classId, startKey, week)) return false;
+            const keys = Array.from({ length: lesson.periods }, (_, i) => `${day}_${startPeriod + i}`);
+            const classIds = getLessonClassIds(lesson).includes(classId) ? getLessonClassIds(lesson) : [classId];
+            if (classIds.some(rowClassId => keys.some(key => state.schedule[week][rowClassId]?.[key]?.length))) return false;
+            const teacherSlots = lesson.teacherId ? getTeacherSlots(lesson.teacherId, week) : new Map();
+            return !keys.some(key => (teacherSlots.get(key) || []).some(record => record.lessonId !== lesson.id));
+        };
+
+        /**
+         * Links a lesson to other classes and moves its placed sessions along in both weeks: every copy leaves the old
+         * rows, and each session is placed again at the same time in the rows of the new classes when the drop rules
+         * allow it there (matching cell spans, cells not full or locked). Returns how many sessions could not be placed
+         * again; they go back to the unplaced list.
+         */
+        const relinkLessonClasses = (lessonId, classId, jointClassIds = []) => {
+            const state = getState();
+            const lesson = getLessonById(lessonId);
+            if (!lesson) return 0;
+            const oldClassIds = getLessonClassIds(lesson);
+            const starts = { A: new Map(), B: new Map() };
+            ['A', 'B'].forEach(week => {
+                Object.entries(state.schedule[week]).forEach(([rowClassId, classSchedule]) => {
+                    Object.entries(classSchedule).forEach(([key, slot]) => {
+                        const entry = slot.find(e => e.lessonId === lessonId);
+                        if (!entry) return;
+                        if (entry.isStart && oldClassIds.includes(rowClassId) && !starts[week].has(key)) starts[week].set(key, entry);
+                        // Copies outside the old rows can only be left over from earlier edits; they go as well.
+                        classSchedule[key] = slot.filter(e => e.lessonId !== lessonId);
+                        if (classSchedule[key].length === 0) delete classSchedule[key];
+                    });
+                });
+                invalidateSlotIndex(week);
+            });
+
+            lesson.classId = classId;
+            lesson.jointClassIds = jointClassIds;
+            let droppedCount = 0;
+            ['A', 'B'].forEach(week => starts[week].forEach((entry, key) => {
+                const [day, periodStr] = key.split('_');
+                const startPeriod = parseInt(periodStr);
+                const periods = Array.from({ length: lesson.periods }, (_, i) => startPeriod + i);
+                const fits = startPeriod + lesson.periods - 1 <= getDayPeriods(day) && fitsCellSpans(lesson, classId, key, week) &&
+                    getLessonClassIds(lesson).every(rowClassId => periods.every(period =>
+                        (state.schedule[week][rowClassId]?.[`${day}_${period}`]?.length || 0) < 2 &&
+                        !isSlotLocked({ classId: rowClassId, day, period, lessonId })));
+                if (fits) placeLessonInSchedule(classId, day, startPeriod, lesson, { auto: entry.auto, pinned: entry.pinned, week });
+                else droppedCount++;
+            }));
+            return droppedCount;
+        };
+
+        /**
+         * Repeats a change of every-week lessons in the other week when "sync changes to other week" is on.
+         * Each move is { lesson, from: {classId, key} | null, to: {classId, key} | null, pinned }; a move is only
+         * mirrored when the other week holds the lesson at `from` (or still misses a session, for new placements).
+         * The moves are applied all together or not at all; returns false and leaves the other week untouched otherwise.
+         */
+        const syncMovesToOtherWeek = (moves) => {
+            const state = getState();
+            if (!state.settings.syncWeeks || moves.some(move => getLessonWeekPattern(move.lesson) !== 'every')) return true;
+            const otherWeek = getOtherWeek(state.activeWeek);
+            const otherSchedule = state.schedule[otherWeek];
+            const inSync = moves.every(move => move.from
+                ? otherSchedule[move.from.classId]?.[move.from.key]?.some(entry => entry.lessonId === move.lesson.id && entry.isStart)
+                : getRemainingSessions(move.lesson, otherWeek) > 0);
+            if (!inSync) return false;
+
+            const backup = JSON.stringify(otherSchedule);
+            moves.forEach(move => {
+                if (move.from) removeLessonFromSchedule(move.from.classId, move.lesson.id, move.from.key, otherWeek);
+            });
+            if (!moves.every(move => !move.to || fitsEmptySlot(move.lesson, move.to.classId, move.to.key, otherWeek))) {
+                state.schedule[otherWeek] = JSON.parse(backup);
+                return false;
+            }
+            moves.forEach(move => {
+                if (!move.to) return;
+                const [day, periodStr] = move.to.key.split('_');
+                placeLessonInSchedule(move.to.classId, day, parseInt(periodStr), move.lesson, { pinned: move.pinned, week: otherWeek });
+            });
+            return true;
+        };
+
+        // Replaces the target week with the source week, leaving out lessons that do not run every week.
+        // The target's own single-week and alternating lessons, and its pinned placements, stay wherever their cells
+        // are still free; returns how many of those sessions had to be dropped.
+        const copyWeekSchedule = (sourceWeek, targetWeek) => {
+            const state = getState();
+            const runsEveryWeek = (lessonId) => getLessonWeekPattern(getLessonById(lessonId)) === 'every';
+            const keptStarts = [];
+            Object.entries(state.schedule[targetWeek]).forEach(([classId, classSchedule]) => {
+                Object.entries(classSchedule).forEach(([key, slot]) => {
+                    slot.forEach(entry => {
+                        const lesson = getLessonById(entry.lessonId);
+                        if (lesson && entry.isStart && classId === lesson.classId && (entry.pinned || !runsEveryWeek(entry.lessonId))) {
+                            keptStarts.push({ lesson, classId, key, entry });
+                        }
+                    });
+                });
+            });
+
+            state.schedule[targetWeek] = JSON.parse(JSON.stringify(state.schedule[sourceWeek]));
+            Object.values(state.schedule[targetWeek]).forEach(classSchedule => {
+                Object.keys(classSchedule).forEach(key => {
+                    classSchedule[key] = classSchedule[key].filter(entry => runsEveryWeek(entry.lessonId));
+                    if (classSchedule[key].length === 0) delete classSchedule[key];
+                });
+            });
+            state.merges[targetWeek] = JSON.parse(JSON.stringify(state.merges[sourceWeek]));
+
+            const getCopiedStarts = (lesson) => Object.entries(state.schedule[targetWeek][lesson.classId] || {})
+                .filter(([, slot]) => slot.some(e => e.lessonId === lesson.id && e.isStart)).map(([key]) => key);
+
+            let droppedCount = 0;
+            keptStarts.forEach(({ lesson, classId, key, entry }) => {
+                const [day, periodStr] = key.split('_');
+                const place = () => placeLessonInSchedule(classId, day, parseInt(periodStr), lesson, { auto: entry.auto, pinned: entry.pinned, week: targetWeek });
+                if (!runsEveryWeek(lesson.id)) {
+                    if (fitsEmptySlot(lesson, classId, key, targetWeek)) place();
+                    else droppedCount++;
+                    return;
+                }
+
+                // A pinned every-week lesson came along with the copy as well: it stays pinned where the copy has it
+                // at the same time, and otherwise takes the place of one of its copied sessions.
+                const copiedStarts = getCopiedStarts(lesson);
+                if (copiedStarts.includes(key)) {
+                    getPlacementEntries(classId, lesson.id, key, targetWeek).forEach(copied => { copied.pinned = true; });
+                    return;
+                }
+                const isFull = copiedStarts.length >= getLessonSessions(lesson);
+                const replacedKey = isFull ? copiedStarts.find(copiedKey => !isPlacementPinned(classId, lesson.id, copiedKey, targetWeek)) : null;
+                if (isFull && !replacedKey) {
+                    droppedCount++;
+                    return;
+                }
+                const replacedEntry = replacedKey && getPlacementEntries(classId, lesson.id, replacedKey, targetWeek)[0];
+                if (replacedKey) removeLessonFromSchedule(classId, lesson.id, replacedKey, targetWeek);
+                if (fitsEmptySlot(lesson, classId, key, targetWeek)) {
+                    place();
+                    return;
+                }
+                droppedCount++;
+                if (replacedKey) {
+                    const [replacedDay, replacedPeriod] = replacedKey.split('_');
+                    placeLessonInSchedule(classId, replacedDay, parseInt(replacedPeriod), lesson, { auto: replacedEntry.auto, week: targetWeek });
+                }
+            });
+            return droppedCount;
+        };
+
+        // --- Entities ---
+        const getArrayName = (type) => type === 'class' ? 'classes' : `${type}s`;
+
+        // Removes a teacher, class or room; lessons of a removed teacher or class go with it, placements included.
+        const deleteEntity = (type, id) => {
+            const state = getState();
+            const arrayName = getArrayName(type);
+            state[arrayName] = state[arrayName].filter(item => item.id !== id);
+
+            if (type === 'teacher' || type === 'class') {
+                const lessonsToRemove = state.lessons.filter(l => (type === 'teacher' && l.teacherId === id) || (type === 'class' && l.classId === id)).map(l => l.id);
+                state.lessons = state.lessons.filter(l => !lessonsToRemove.includes(l.id));
+
+                ['A', 'B'].forEach(week => {
+                    Object.keys(state.schedule[week]).forEach(classId => {
+                        Object.keys(state.schedule[week][classId]).forEach(key => {
+                            state.schedule[week][classId][key] = state.schedule[week][classId][key]
+                                .filter(entry => !lessonsToRemove.includes(entry.lessonId));
+                            if (state.schedule[week][classId][key].length === 0) {
+                                delete state.schedule[week][classId][key];
+                            }
+                        });
+                    });
+                });
+            }
+
+            if (type === 'class') {
+                delete state.schedule.A[id];
+                delete state.schedule.B[id];
+                state.lessons.forEach(l => {
+                    if (l.jointClassIds?.includes(id)) l.jointClassIds = l.jointClassIds.filter(classId => classId !== id);
+                });
+            }
+
+            if (type === 'teacher') {
+                delete state.constraints.teacherRules[id];
+                state.substitutions = state.substitutions.filter(s => s.absentTeacherId !== id && s.substituteId !== id);
+            }
+
+            if (type === 'room') {
+                state.lessons.forEach(l => {
+                    if (l.roomId === id) l.roomId = null;
+                });
+            }
+            invalidateSlotIndex();
+        };
+
+        /**
+         * What moving `lessonIds` to `teacherId` would break in the placements of both weeks. Per period:
+         * `teacher` where the new teacher already teaches another lesson (`otherLessonIds`), `unavailable` where the
+         * constraints block the teacher, and `dayOff` for sessions starting on one of the teacher's days off.
+         * Per week, like findScheduleIssues: `maxDailyPeriods` ({ day, count, limit }) and `maxDays` ({ count, limit })
+         * where the moved periods take the teacher over a workload rule.
+         */
+        const findReassignConflicts = (lessonIds, teacherId) => {
+            const state = getState();
+            const moving = new Set(lessonIds);
+            const rules = getTeacherRules(teacherId);
+            const daysOff = rules?.daysOff || [];
+            const conflicts = [];
+            ['A', 'B'].forEach(week => {
+                const teacherSlots = getTeacherSlots(teacherId, week);
+                const load = getTeacherDayLoad(teacherId, week);
+                const addedLoad = {};
+                const checked = new Set();
+                Object.values(state.schedule[week]).forEach(classSchedule => Object.entries(classSchedule).forEach(([key, slot]) => slot.forEach(entry => {
+                    if (!moving.has(entry.lessonId) || checked.has(`${entry.lessonId}|${key}`)) return;
+                    checked.add(`${entry.lessonId}|${key}`);
+                    const [day, periodStr] = key.split('_');
+                    const period = parseInt(periodStr);
+                    const base = { week, day, period, lessonId: entry.lessonId };
+                    const otherLessonIds = [...new Set((teacherSlots.get(key) || []).map(record => record.lessonId).filter(id => !moving.has(id)))];
+                    if (otherLessonIds.length > 0) conflicts.push({ ...base, type: 'teacher', otherLessonIds });
+                    if (state.constraints.unavailable.some(c => c.type === 'teacher' && c.id === teacherId && c.day === day && c.period === period)) {
+                        conflicts.push({ ...base, type: 'unavailable' });
+                    }
+                    if (entry.isStart && daysOff.includes(day)) conflicts.push({ ...base, type: 'dayOff' });
+                    addedLoad[day] = (addedLoad[day] || 0) + 1;
+                })));
+
+                if (!rules) return;
+                const days = getActiveDays();
+                const newLoad = (day) => (load[day] || 0) + (addedLoad[day] || 0);
+                if (rules.maxDailyPeriods) {
+                    days.filter(day => addedLoad[day] && newLoad(day) > rules.maxDailyPeriods).forEach(day => {
+                        conflicts.push({ week, day, type: 'maxDailyPeriods', count: newLoad(day), limit: rules.maxDailyPeriods });
+                    });
+                }
+                const presentDays = days.filter(day => newLoad(day) > 0).length;
+                if (rules.maxDays && presentDays > rules.maxDays && presentDays > days.filter(day => load[day] > 0).length) {
+                    conflicts.push({ week, type: 'maxDays', count: presentDays, limit: rules.maxDays });
+                }
+            });
+            return conflicts.sort((a, b) => a.week.localeCompare(b.week) || ALL_DAYS.indexOf(a.day) - ALL_DAYS.indexOf(b.day) || (a.period || 0) - (b.period || 0));
+        };
+
+        // Hands lessons to another teacher; their placements stay where they are.
+        const reassignLessons = (lessonIds, teacherId) => {
+            const state = getState();
+            state.lessons.forEach(lesson => {
+                if (lessonIds.includes(lesson.id)) lesson.teacherId = teacherId;
+            });
+            invalidateSlotIndex();
+        };
+
+        const assignAllColors = () => {
+            const state = getState();
+            state.lessons.forEach(lesson => {
+                if (!state.lessonColors[lesson.id]) {
+                    state.lessonColors[lesson.id] = generateColorFromString(lesson.name + lesson.teacherId);
+                }
+            });
+            state.classes.forEach(c => {
+                if (c.field && !state.fieldColors[c.field]) {
+                    state.fieldColors[c.field] = generateColorFromString(c.field);
+                }
+            });
+        };
+
+        // --- Conflicts & constraints ---
+        const isSlotLocked = ({ classId, day, period, lessonId }) => {
+            const lesson = lessonId ? getLessonById(lessonId) : null;
+            const teacherId = lesson?.teacherId;
+            const periodNum = parseInt(period);
+
+            return getState().constraints.unavailable.some(c =>
+                (c.type === 'class' && c.id === classId && c.day === day && c.period === periodNum) ||
+                (c.type === 'teacher' && c.id === teacherId && c.day === day && c.period === periodNum)
+            );
+        };
+
+        const getTeacherRules = (teacherId) => getState().constraints.teacherRules?.[teacherId] || null;
+
+        // Periods a teacher teaches on each day of a week; `exclude` leaves out one placement ({ classId, lessonId, startKey }).
+        const getTeacherDayLoad = (teacherId, week = getState().activeWeek, exclude = null) => {
+            const excludedKeys = new Set();
+            if (exclude) {
+                const excludedLesson = getLessonById(exclude.lessonId);
+                const [day, periodStr] = exclude.startKey.split('_');
+                for (let i = 0; i < (excludedLesson?.periods || 0); i++) {
+                    excludedKeys.add(`${day}_${parseInt(periodStr) + i}`);
+                }
+            }
+            const load = {};
+            getTeacherSlots(teacherId, week).forEach((records, key) => {
+                const lessonIds = new Set(records.map(record => record.lessonId));
+                if (excludedKeys.has(key)) lessonIds.delete(exclude.lessonId);
+                if (lessonIds.size === 0) return;
+                const day = key.split('_')[0];
+                load[day] = (load[day] || 0) + lessonIds.size;
+            });
+            return load;
+        };
+
+        // Returns the workload rules a placement of `lesson` on `day` would break, as readable messages.
+        const checkTeacherRules = (lesson, day, exclude = null) => {
+            const rules = lesson ? getTeacherRules(lesson.teacherId) : null;
+            if (!rules) return [];
+            const violations = [];
+            if (rules.daysOff?.includes(day)) {
+                violations.push(`روز ${day} روز آزاد این دبیر است.`);
+            }
+            if (rules.maxDailyPeriods || rules.maxDays) {
+                const load = getTeacherDayLoad(lesson.teacherId, getState().activeWeek, exclude);
+                if (rules.maxDailyPeriods && (load[day] || 0) + lesson.periods > rules.maxDailyPeriods) {
+                    violations.push(`سقف ${toPersianNumber(rules.maxDailyPeriods)} زنگ در روز برای این دبیر رد می‌شود.`);
+                }
+                const presentDays = Object.keys(load).filter(d => load[d] > 0);
+                if (rules.maxDays && !presentDays.includes(day) && presentDays.length + 1 > rules.maxDays) {
+                    violations.push(`این دبیر حداکثر ${toPersianNumber(rules.maxDays)} روز در هفته حضور دارد.`);
+                }
+            }
+            return violations;
+        };
+
+        /**
+         * Gives every placed session that asks for a room type a free room of that type for all of its periods.
+         * Earlier choices are kept while they stay valid so rooms don't move around on unrelated edits;
+         * sessions that find no room keep no `roomId` and show up as shortages in the validation panel.
+         */
+        const assignRooms = (week) => {
+            const state = getState();
+            const busy = new Set();
+            const requests = new Map();
+            let changed = false;
+            Object.entries(state.schedule[week] || {}).forEach(([classId, classSchedule]) => {
+                Object.entries(classSchedule).forEach(([key, slot]) => {
+                    slot.forEach(entry => {
+                        const lesson = getLessonById(entry.lessonId);
+                        if (lesson?.roomId) busy.add(`${lesson.roomId}|${key}`);
+                        if (!lesson?.roomType) {
+                            if (entry.roomId) changed = true;
+                            delete entry.roomId;
+                        } else if (entry.isStart) {
+                            // Copies of a joint lesson share one request and therefore one room.
+                            const requestKey = `${lesson.id}|${key}`;
+                            if (!requests.has(requestKey)) requests.set(requestKey, { lesson, classIds: [], entries: [] });
+                            const request = requests.get(requestKey);
+                            request.classIds.push(classId);
+                            const [day, periodStr] = key.split('_');
+                            for (let i = 0; i < lesson.periods; i++) {
+                                const blockKey = `${day}_${parseInt(periodStr) + i}`;
+                                const blockEntry = classSchedule[blockKey]?.find(e => e.lessonId === lesson.id && (i === 0 ? e === entry : !e.isStart));
+                                if (blockEntry) request.entries.push({ key: blockKey, entry: blockEntry });
+                            }
+                        }
+                    });
+                });
+            });
+
+            const fits = (room, request) => {
+                const students = request.classIds.reduce((sum, classId) => sum + (getClassById(classId)?.students || 0), 0);
+                return room.type === request.lesson.roomType && (!room.capacity || !students || room.capacity >= students);
+            };
+            const isFree = (room, request) => request.entries.every(({ key }) => !busy.has(`${room.id}|${key}`));
+            const take = (room, request) => request.entries.forEach(({ key, entry }) => {
+                busy.add(`${room.id}|${key}`);
+                if (entry.roomId !== room.id) changed = true;
+                entry.roomId = room.id;
+            });
+
+            const pending = [...requests.values()].filter(request => {
+                const current = getRoomById(request.entries[0].entry.roomId);
+                if (current && fits(current, request) && isFree(current, request)) {
+                    take(current, request);
+                    return false;
+                }
+                return true;
+            });
+            // Smallest fitting room first, so large rooms stay available for large classes.
+            const candidates = [...state.rooms].sort((a, b) => (a.capacity || 0) - (b.capacity || 0));
+            pending.forEach(request => {
+                const room = candidates.find(r => fits(r, request) && isFree(r, request));
+                if (room) {
+                    take(room, request);
+                } else {
+                    request.entries.forEach(({ entry }) => {
+                        if (entry.roomId) changed = true;
+                        delete entry.roomId;
+                    });
+                }
+            });
+            if (changed) invalidateSlotIndex(week);
+        };
+
+        // Two sessions of the same lesson should not fall on the same day.
+        const hasSessionOnDay = (lesson, day, exclude = null) => {
+            if (getLessonSessions(lesson) < 2) return false;
+            const state = getState();
+            const classSchedule = state.schedule[state.activeWeek][lesson.classId] || {};
+            return Object.entries(classSchedule).some(([key, slot]) =>
+                key.startsWith(`${day}_`) &&
+                !(exclude && exclude.lessonId === lesson.id && exclude.startKey === key) &&
+                slot.some(entry => entry.lessonId === lesson.id && entry.isStart)
+            );
+        };
+
+        // Classes whose teacher or room clash with `lesson` starting at `startPeriod`, or null when there is no clash.
+        const checkForConflict = (lesson, day, startPeriod, currentClassId) => {
+            if (!lesson) return null;
+            const conflicts = { teacher: [], room: [] };
+
+            const teacherSlots = lesson.teacherId ? getTeacherSlots(lesson.teacherId) : new Map();
+            const roomSlots = lesson.roomId ? getRoomSlots(lesson.roomId) : new Map();
+            const collect = (records, names) => (records || []).forEach(record => {
+                // Skip the checked cell itself and the lesson's own copies in other joint classes.
+                if (record.classId === currentClassId || record.lessonId === lesson.id) return;
+                names.push(getClassById(record.classId)?.name || 'کلاس حذف شده');
+            });
+
+            for (let i = 0; i < lesson.periods; i++) {
+                const key = `${day}_${startPeriod + i}`;
+                collect(teacherSlots.get(key), conflicts.teacher);
+                collect(roomSlots.get(key), conflicts.room);
+            }
+
+            const teacherConflict = [...new Set(conflicts.teacher)];
+            const roomConflict = [...new Set(conflicts.room)];
+
+            if (teacherConflict.length > 0 || roomConflict.length > 0) {
+                return { teacher: teacherConflict, room: roomConflict };
+            }
+            return null;
+        };
+
+        // --- Validation ---
+        const computeWeekStats = (week = getState().activeWeek) => {
+            const placedCounts = getPlacedCountsByWeek();
+            const weekLessons = getState().lessons.filter(l => getWeekSessionTarget(l, week, placedCounts) > 0);
+            const hoursOf = (lesson, sessions) => lesson.periods * sessions * getTeacherHourMultiplier(lesson.teacherId);
+            let placedHours = 0;
+            placedCounts[week].forEach((count, id) => {
+                const lesson = getLessonById(id);
+                if (lesson) placedHours += hoursOf(lesson, count);
+            });
+            return {
+                totalLessons: weekLessons.length,
+                placedLessons: weekLessons.filter(l => getRemainingSessions(l, week, placedCounts) === 0).length,
+                totalHours: weekLessons.reduce((sum, l) => sum + hoursOf(l, getWeekSessionTarget(l, week, placedCounts)), 0),
+                placedHours,
+            };
+        };
+
+        /**
+         * Everything wrong with one week, in the order the validation panel lists it: double-booked teachers and rooms,
+         * broken workload rules, lessons placed too often, in the wrong week or twice on one day, and missing rooms.
+         * Each issue is plain data ({ type, ... }); describeIssue turns it into a sentence.
+         */
+        const findScheduleIssues = (week = getState().activeWeek) => {
+            const state = getState();
+            const placedCounts = getPlacedCountsByWeek();
+            const days = getActiveDays();
+            const slotIndex = getSlotIndex(week);
+            const issues = [];
+
+            // A teacher or room is double-booked when a slot holds more than one lesson; joint copies of one lesson don't count.
+            const findDoubleBookings = (type, ownerIndex, getOwner) => {
+                for (const day of days) {
+                    for (let period = 1; period <= getDayPeriods(day); period++) {
+                        const key = `${day}_${period}`;
+                        ownerIndex.forEach((slots, ownerId) => {
+                            const records = slots.get(key);
+                            if (!records || new Set(records.map(record => record.lessonId)).size < 2) return;
+                            issues.push({
+                                type, ownerId, day, period,
+                                ownerName: getOwner(ownerId)?.name || '؟',
+                                classIds: [...new Set(records.map(record => record.classId))],
+                                classNames: [...new Set(records.map(record => cleanName(getClassById(record.classId)?.name || 'نامشخص')))],
+                            });
+                        });
+                    }
+                }
+            };
+            findDoubleBookings('teacher', slotIndex.teacher, getTeacherById);
+            findDoubleBookings('room', slotIndex.room, getRoomById);
+
+            state.teachers.forEach(teacher => {
+                const rules = getTeacherRules(teacher.id);
+                if (!rules) return;
+                const load = getTeacherDayLoad(teacher.id, week);
+                const presentDays = days.filter(day => load[day] > 0);
+                presentDays.forEach(day => {
+                    if (rules.daysOff?.includes(day)) {
+                        issues.push({ type: 'dayOff', teacherId: teacher.id, teacherName: teacher.name, day });
+                    }
+                    if (rules.maxDailyPeriods && load[day] > rules.maxDailyPeriods) {
+                        issues.push({ type: 'maxDailyPeriods', teacherId: teacher.id, teacherName: teacher.name, day, count: load[day], limit: rules.maxDailyPeriods });
+                    }
+                });
+                if (rules.maxDays && presentDays.length > rules.maxDays) {
+                    issues.push({ type: 'maxDays', teacherId: teacher.id, teacherName: teacher.name, count: presentDays.length, limit: rules.maxDays });
+                }
+            });
+
+            state.lessons.forEach(lesson => {
+                const weekTarget = getWeekSessionTarget(lesson, week, placedCounts);
+                const placedCount = placedCounts[week].get(lesson.id) || 0;
+                const details = { lessonId: lesson.id, lessonName: cleanName(lesson.name), className: cleanName(getClassById(lesson.classId)?.name || '') };
+                if (placedCount > 0 && weekTarget === 0) {
+                    issues.push({ type: 'wrongWeek', ...details, pattern: getLessonWeekPattern(lesson) });
+                } else if (placedCount > weekTarget) {
+                    issues.push({ type: 'extraSessions', ...details, count: placedCount, target: weekTarget });
+                }
+                if (getLessonSessions(lesson) > 1) {
+                    const sessionsPerDay = {};
+                    Object.entries(state.schedule[week][lesson.classId] || {}).forEach(([key, slot]) => {
+                        if (!slot.some(entry => entry.lessonId === lesson.id && entry.isStart)) return;
+                        const day = key.split('_')[0];
+                        sessionsPerDay[day] = (sessionsPerDay[day] || 0) + 1;
+                    });
+                    Object.entries(sessionsPerDay).filter(([, count]) => count > 1).forEach(([day]) => {
+                        issues.push({ type: 'sameDay', ...details, day });
+                    });
+                }
+            });
+
+            Object.entries(state.schedule[week]).forEach(([classId, classSchedule]) => {
+                Object.entries(classSchedule).forEach(([key, slot]) => {
+                    slot.forEach(entry => {
+                        const lesson = getLessonById(entry.lessonId);
+                        if (!entry.isStart || !lesson?.roomType || entry.roomId) return;
+                        const [day, period] = key.split('_');
+                        issues.push({
+                            type: 'roomShortage', lessonId: lesson.id, classId, day, period: parseInt(period), roomType: lesson.roomType,
+                            lessonName: cleanName(lesson.name), className: cleanName(getClassById(classId)?.name || ''),
+                        });
+                    });
+                });
+            });
+
+            return issues;
+        };
+
+        const QUALITY_PENALTIES = { gap: 3, singlePeriodDay: 4, sameDaySubject: 5 };
+
+        /**
+         * Soft-quality measures of one week: idle gaps and single-period days per teacher,
+         * and how each class's subjects are spread over the days. Every finding keeps the cells it refers to.
+         */
+        const computeScheduleQuality = (week = getState().activeWeek, schedule = getState().schedule[week]) => {
+            const days = getActiveDays();
+            const teacherDays = {};
+            const subjects = {};
+
+            Object.entries(schedule).forEach(([classId, classSchedule]) => {
+                Object.entries(classSchedule).forEach(([key, slot]) => {
+                    const [day, periodStr] = key.split('_');
+                    if (!days.includes(day)) return;
+                    slot.forEach(entry => {
+                        const lesson = getLessonById(entry.lessonId);
+                        if (!lesson) return;
+                        if (lesson.teacherId) {
+                            const teacherDay = ((teacherDays[lesson.teacherId] ||= {})[day] ||= { periods: new Set(), cells: [] });
+                            teacherDay.periods.add(parseInt(periodStr));
+                            if (entry.isStart) teacherDay.cells.push({ classId, key });
+                        }
+                        if (entry.isStart) {
+                            const subjectKey = `${classId}|${cleanName(lesson.name)}`;
+                            const subject = (subjects[subjectKey] ||= { classId, name: cleanName(lesson.name), days: {}, cells: {} });
+                            subject.days[day] = (subject.days[day] || 0) + 1;
+                            (subject.cells[day] ||= []).push({ classId, key });
+                        }
+                    });
+                });
+            });
+
+            const teachers = getState().teachers.filter(t => teacherDays[t.id]).map(teacher => {
+                let gaps = 0;
+                let singlePeriodDays = 0;
+                const cells = [];
+                Object.values(teacherDays[teacher.id]).forEach(({ periods, cells: dayCells }) => {
+                    const dayGaps = Math.max(...periods) - Math.min(...periods) + 1 - periods.size;
+                    gaps += dayGaps;
+                    if (periods.size === 1) singlePeriodDays++;
+                    if (dayGaps > 0 || periods.size === 1) cells.push(...dayCells);
+                });
+                return { id: teacher.id, name: teacher.name, days: Object.keys(teacherDays[teacher.id]).length, gaps, singlePeriodDays, cells };
+            }).sort((a, b) => (b.gaps + b.singlePeriodDays) - (a.gaps + a.singlePeriodDays) || a.name.localeCompare(b.name));
+
+            const subjectSpread = Object.values(subjects).map(subject => {
+                const duplicateDays = Object.keys(subject.days).filter(day => subject.days[day] > 1);
+                return {
+                    ...subject,
+                    duplicates: duplicateDays.reduce((sum, day) => sum + subject.days[day] - 1, 0),
+                    cells: duplicateDays.length > 0 ? duplicateDays.flatMap(day => subject.cells[day]) : Object.values(subject.cells).flat(),
+                };
+            }).filter(subject => Object.values(subject.days).reduce((a, b) => a + b, 0) > 1);
+
+            const penalty = teachers.reduce((sum, t) => sum + t.gaps * QUALITY_PENALTIES.gap + t.singlePeriodDays * QUALITY_PENALTIES.singlePeriodDay, 0) +
+                subjectSpread.reduce((sum, s) => sum + s.duplicates * QUALITY_PENALTIES.sameDaySubject, 0);
+            const placedPeriods = Object.values(schedule).reduce((sum, classSchedule) => sum + Object.keys(classSchedule).length, 0);
+            // Penalties are averaged over the placed periods so large schools aren't scored lower just for being large.
+            const score = placedPeriods === 0 ? 100 : Math.max(0, Math.round(100 - (penalty / placedPeriods) * 20));
+
+            return { score, teachers, subjects: subjectSpread };
+        };
+
+        /**
+         * Teaching hours of every teacher in both weeks: `planned` from the lessons' week targets and `placed` from the grid,
+         * where a lesson in a merged cell counts the whole merge and a joint lesson counts once.
+         * The balance against the required weekly hours (موظفی) uses the average of the two weeks.
+         */
+        const computeTeacherLoads = () => {
+            const state = getState();
+            const placedCounts = getPlacedCountsByWeek();
+            const loads = new Map(state.teachers.map(teacher => [teacher.id, {
+                teacher,
+                multiplier: getTeacherHourMultiplier(teacher),
+                required: teacher.requiredHours || 0,
+                planned: { A: 0, B: 0 },
+                placed: { A: 0, B: 0 },
+            }]));
+
+            state.lessons.forEach(lesson => {
+                const load = loads.get(lesson.teacherId);
+                if (!load) return;
+                ['A', 'B'].forEach(week => {
+                    load.planned[week] += lesson.periods * getWeekSessionTarget(lesson, week, placedCounts) * load.multiplier;
+                });
+            });
+
+            ['A', 'B'].forEach(week => {
+                const countedStarts = new Set();
+                Object.entries(state.schedule[week]).forEach(([classId, classSchedule]) => {
+                    Object.entries(classSchedule).forEach(([key, slot]) => {
+                        slot.forEach(entry => {
+                            if (!entry.isStart || countedStarts.has(`${entry.lessonId}|${key}`)) return;
+                            countedStarts.add(`${entry.lessonId}|${key}`);
+                            const lesson = getLessonById(entry.lessonId);
+                            const load = loads.get(lesson?.teacherId);
+                            if (!load) return;
+                            const [day, periodStr] = key.split('_');
+                            const mergeInfo = state.merges[week].find(m => m.classId === classId && m.day === day && m.startPeriod === parseInt(periodStr));
+                            load.placed[week] += (mergeInfo ? mergeInfo.count : lesson.periods) * load.multiplier;
+                        });
+                    });
+                });
+            });
+
+            return [...loads.values()].map(load => {
+                const average = (load.placed.A + load.placed.B) / 2;
+                const balance = load.required ? average - load.required : 0;
+                const status = !load.required ? 'none' : balance < 0 ? 'deficit' : balance > 0 ? 'overtime' : 'balanced';
+                return { ...load, average, balance, status };
+            }).sort((a, b) => a.teacher.name.localeCompare(b.teacher.name));
+        };
+
+        // --- Substitutions ---
+        // The sessions an absent teacher leaves uncovered on one day, in period order; a joint lesson counts once.
+        const getAbsenceSessions = (teacherId, day, week = getState().activeWeek) => {
+            const sessions = new Map();
+            getTeacherSlots(teacherId, week).forEach((records, key) => {
+                const [slotDay, periodStr] = key.split('_');
+                if (slotDay !== day) return;
+                records.forEach(({ lessonId, classId, entry }) => {
+                    const lesson = getLessonById(lessonId);
+                    if (!entry.isStart || sessions.has(`${lessonId}|${key}`)) return;
+                    sessions.set(`${lessonId}|${key}`, { lessonId, classId: lesson.classId || classId, day, period: parseInt(periodStr), periods: lesson.periods, week });
+                });
+            });
+            return [...sessions.values()].sort((a, b) => a.period - b.period);
+        };
+
+        /**
+         * Every teacher who could cover `session`, best first. A candidate must be free in all of its periods and not marked
+         * unavailable in the constraints; `busy` holds `${teacherId}|${key}` slots already given to other substitutions.
+         * Teachers qualified for or already teaching the subject come first, then those of the same class, then those already at
+         * school that day, then the ones with fewer recorded substitutions and the lighter weekly load. Teachers on a day off
+         * or at their daily limit go last.
+         */
+        const rankSubstitutes = (session, { busy = new Set(), excludeIds = [] } = {}) => {
+            const state = getState();
+            const lesson = getLessonById(session.lessonId);
+            const subject = cleanName(lesson?.name);
+            const keys = Array.from({ length: session.periods }, (_, i) => `${session.day}_${session.period + i}`);
+            const substitutionCounts = new Map();
+            state.substitutions.forEach(s => substitutionCounts.set(s.substituteId, (substitutionCounts.get(s.substituteId) || 0) + 1));
+
+            return state.teachers
+                .filter(teacher => !excludeIds.includes(teacher.id) && teacher.id !== lesson?.teacherId)
+                .filter(teacher => {
+                    const slots = getTeacherSlots(teacher.id, session.week);
+                    return keys.every(key => !slots.has(key) && !busy.has(`${teacher.id}|${key}`)) &&
+                        !state.constraints.unavailable.some(c => c.type === 'teacher' && c.id === teacher.id && c.day === session.day &&
+                            c.period >= session.period && c.period < session.period + session.periods);
+                })
+                .map(teacher => {
+                    const ownLessons = state.lessons.filter(l => l.teacherId === teacher.id);
+                    const load = getTeacherDayLoad(teacher.id, session.week);
+                    const rules = getTeacherRules(teacher.id);
+                    return {
+                        teacher,
+                        sameSubject: isTeacherQualified(teacher, lesson) || ownLessons.some(l => cleanName(l.name) === subject),
+                        sameClass: ownLessons.some(l => getLessonClassIds(l).includes(session.classId)),
+                        dayLoad: load[session.day] || 0,
+                        weekLoad: Object.values(load).reduce((sum, periods) => sum + periods, 0),
+                        substitutions: substitutionCounts.get(teacher.id) || 0,
+                        dayOff: Boolean(rules?.daysOff?.includes(session.day)),
+                        overLimit: Boolean(rules?.maxDailyPeriods && (load[session.day] || 0) + session.periods > rules.maxDailyPeriods),
+                    };
+                })
+                .sort((a, b) => (a.dayOff || a.overLimit) - (b.dayOff || b.overLimit) ||
+                    b.sameSubject - a.sameSubject || b.sameClass - a.sameClass || (b.dayLoad > 0) - (a.dayLoad > 0) ||
+                    a.substitutions - b.substitutions || a.weekLoad - b.weekLoad || a.teacher.name.localeCompare(b.teacher.name));
+        };
+
+        // --- Automatic scheduling ---
+        // Everything scheduler-engine.js needs for one week, as plain data that can be posted to a worker.
+        const buildAutoScheduleInput = (week = getState().activeWeek) => {
+            const state = getState();
+            const days = getActiveDays();
+            const placedCounts = getPlacedCountsByWeek();
+            return {
+                lessons: state.lessons,
+                sessionTargets: Object.fromEntries(state.lessons.map(l => [l.id, getWeekSessionTarget(l, week, placedCounts)])),
+                schedule: state.schedule[week],
+                merges: state.merges[week],
+                unavailable: state.constraints.unavailable,
+                teacherRules: state.constraints.teacherRules,
+                rooms: state.rooms,
+                classSizes: Object.fromEntries(state.classes.filter(c => c.students).map(c => [c.id, c.students])),
+                days,
+                dayPeriods: Object.fromEntries(days.map(day => [day, getDayPeriods(day)])),
+            };
+        };
+
+        // The week as it would look after applying an engine result, built on a copy so the real schedule stays untouched.
+        const buildAutoSchedulePreview = ({ week, result, moveAutoPlaced }) => {
+            const schedule = JSON.parse(JSON.stringify(getState().schedule[week]));
+            if (moveAutoPlaced) {
+                Object.values(schedule).forEach(classSchedule => {
+                    Object.keys(classSchedule).forEach(key => {
+                        classSchedule[key] = classSchedule[key].filter(entry => !entry.auto || entry.pinned);
+                        if (classSchedule[key].length === 0) delete classSchedule[key];
+                    });
+                });
+            }
+            result.placements.forEach(({ lessonId, classId, day, startPeriod }) => {
+                placeLessonInSchedule(classId, day, startPeriod, getLessonById(lessonId), { auto: true, week, schedule });
+            });
+            return schedule;
+        };
+
+        // Runs the engine synchronously on one week and applies its result; returns the engine's result.
+        const autoScheduleWeek = (week = getState().activeWeek, { seed = 1, moveAutoPlaced = false } = {}) => {
+            const result = globalThis.SchedulerEngine.solveWeekSchedule(buildAutoScheduleInput(week), { seed, moveAutoPlaced });
+            getState().schedule[week] = buildAutoSchedulePreview({ week, result, moveAutoPlaced });
+            assignRooms(week);
+            return result;
+        };
+
+        // --- Export ---
+        // The weekly schedule as spreadsheet rows: a header of day/period columns, then one row per class
+        // listing the lessons that start in each cell.
+        const buildScheduleSheetRows = (week = getState().activeWeek) => {
+            const state = getState();
+            const days = getActiveDays();
+            const sortedClasses = [...state.classes].sort((a, b) => a.name.localeCompare(b.name));
+
+            const headerRow = ['کلاس'];
+            days.forEach(day => {
+                for (let p = 1; p <= getDayPeriods(day); p++) {
+                    const bell = getBellTime(day, p);
+                    headerRow.push(`${day} - زنگ ${toPersianNumber(p)}${bell ? ` (${formatBellTime(bell)})` : ''}`);
+                }
+            });
+
+            const rows = sortedClasses.map(c => {
+                const row = [cleanName(c.name)];
+                days.forEach(day => {
+                    for (let p = 1; p <= getDayPeriods(day); p++) {
+                        const slotContent = state.schedule[week]?.[c.id]?.[`${day}_${p}`] || [];
+                        row.push(slotContent.map(entry => {
+                            const lesson = getLessonById(entry.lessonId);
+                            if (!lesson || !entry.isStart) return '';
+                            return `${cleanName(lesson.name)} (${getTeacherById(lesson.teacherId)?.name || 'بی‌نام'})`;
+                        }).filter(Boolean).join(' | '));
+                    }
+                });
+                return row;
+            });
+            return [headerRow, ...rows];
+        };
+
+        // The sheet above as a SheetJS workbook; `XLSX` is the library itself, passed in by the page or the CLI.
+        const buildScheduleWorkbook = (XLSX, week = getState().activeWeek) => {
+            const data = buildScheduleSheetRows(week);
+            const worksheet = XLSX.utils.aoa_to_sheet(data);
+            worksheet['!cols'] = data[0].map((_, i) => ({ wch: i === 0 ? 20 : 30 }));
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, worksheet, "برنامه هفتگی");
+            return workbook;
+        };
+
+        // --- Import ---
+        // Adds the teachers of a spreadsheet that aren't known yet; returns how many were added.
+        const importTeacherRows = (rows) => {
+            const state = getState();
+            let newCount = 0;
+            rows.forEach(row => {
+                const idKey = findKey(row, ['کد پرسنلی']);
+                const nameKey = findKey(row, ['نام']);
+                const familyKey = findKey(row, ['نام خانوادگی']);
+                const requiredHoursKey = findKey(row, ['موظفی']);
+                const multiplierKey = findKey(row, ['ضریب']);
+                const subjectsKey = findKey(row, ['دروس قابل تدریس', 'دروس', 'درس‌ها']);
+                if (!idKey || !nameKey || !familyKey) return;
+                const id = row[idKey]?.toString().trim();
+                const name = `${row[nameKey] || ''} ${row[familyKey] || ''}`.trim();
+                if (!id || !name) return;
+                if (!state.teachers.some(t => t.id === id)) {
+                    state.teachers.push({
+                        id,
+                        name,
+                        requiredHours: requiredHoursKey ? parseFloat(row[requiredHoursKey]) || null : null,
+                        hourMultiplier: multiplierKey ? parseFloat(row[multiplierKey]) || null : null,
+                        subjects: subjectsKey ? parseSubjects(row[subjectsKey]) : [],
+                    });
+                    newCount++;
+                }
+            });
+            return newCount;
+        };
+
+        // Adds the lessons of a spreadsheet, creating their classes as needed. Rows naming an unknown teacher are skipped
+        // and reported in `warnings`.
+        const importLessonRows = (rows) => {
+            const state = getState();
+            let newLessons = 0,
+                newClasses = 0;
+            const warnings = new Set();
+
+            rows.forEach((row, index) => {
+                const classKey = findKey(row, ['کلاس']);
+                const lessonKey = findKey(row, ['نام درس']);
+                const teacherIdKey = findKey(row, ['کد پرسنلی']);
+                const periodsKey = findKey(row, ['تعداد زنگ']);
+                const sessionsKey = findKey(row, ['تعداد جلسه']);
+                const weekPatternKey = findKey(row, ['الگوی هفته']);
+                const fieldKey = findKey(row, ['رشته']);
+
+                if (!classKey || !lessonKey || !teacherIdKey) return;
+
+                const className = row[classKey]?.toString().trim();
+                const lessonName = row[lessonKey]?.toString().trim();
+                const teacherId = row[teacherIdKey]?.toString().trim();
+                const periods = periodsKey ? parseInt(row[periodsKey]) : 1;
+                const sessions = sessionsKey ? parseInt(row[sessionsKey]) : 1;
+                const weekPattern = weekPatternKey ? parseWeekPattern(row[weekPatternKey]) : 'every';
+                const field = fieldKey ? row[fieldKey]?.toString().trim() : 'عمومی';
+
+                if (!className || !lessonName || !teacherId) return;
+
+                if (!state.teachers.some(t => t.id === teacherId)) {
+                    warnings.add(`دبیر با کد پرسنلی ${teacherId} یافت نشد. درس "${lessonName}" برای کلاس "${className}" وارد نشد.`);
+                    return;
+                }
+
+                let classData = state.classes.find(c => c.name === className);
+                if (!classData) {
+                    classData = { id: `c${Date.now()}${Math.random()}`, name: className, field: field };
+                    state.classes.push(classData);
+                    if (!state.schedule.A[classData.id]) state.schedule.A[classData.id] = {};
+                    if (!state.schedule.B[classData.id]) state.schedule.B[classData.id] = {};
+                    newClasses++;
+                } else if (field && !classData.field) {
+                    classData.field = field;
+                }
+
+                state.lessons.push({
+                    id: `l${Date.now()}${Math.random()}${index}`,
+                    name: lessonName,
+                    teacherId: teacherId,
+                    classId: classData.id,
+                    roomId: null,
+                    periods: !isNaN(periods) && periods > 0 ? periods : 1,
+                    sessions: !isNaN(sessions) && sessions > 0 ? sessions : 1,
+                    weekPattern
+                });
+                newLessons++;
+            });
+
+            assignAllColors();
+            return { newLessons, newClasses, warnings: [...warnings] };
+        };
+
+        return {
+            getActiveDays, getDayPeriods, getMaxPeriods, getBellTime, getRoomTypes,
+            getLessonById, getTeacherById, getClassById, getRoomById, getLessonClassNames, getTeacherHourMultiplier,
+            countPlacedSessions, getPlacedCountsByWeek, getWeekSessionTarget, getRemainingSessions,
+            getSlotIndex, invalidateSlotIndex, getTeacherSlots, getRoomSlots,
+            placeLessonInSchedule, removeLessonFromSchedule, getPlacementEntries, isPlacementPinned, clearWeek,
+            fitsCellSpans, fitsEmptySlot, relinkLessonClasses, syncMovesToOtherWeek, copyWeekSchedule,
+            findMerge, deleteEntity, findReassignConflicts, reassignLessons, assignAllColors,
+            isSlotLocked, getTeacherRules, getTeacherDayLoad, checkTeacherRules, assignRooms, hasSessionOnDay, checkForConflict,
+            computeWeekStats, findScheduleIssues, computeScheduleQuality, computeTeacherLoads, getAbsenceSessions, rankSubstitutes,
+            buildAutoScheduleInput, buildAutoSchedulePreview, autoScheduleWeek,
+            buildScheduleSheetRows, buildScheduleWorkbook, importTeacherRows, importLessonRows,
+        };
+    };
+
+    // One sentence per validation issue; `emphasize` wraps the teacher, room or lesson name (e.g. in <strong> on the page).
+    const describeIssue = (issue, emphasize = (text) => text) => {
+        switch (issue.type) {
+            case 'teacher':
+                return `تداخل دبیر ${emphasize(issue.ownerName)} روز ${issue.day} زنگ ${toPersianNumber(issue.period)} در کلاس‌های: ${issue.classNames.join(', ')}`;
+            case 'room':
+                return `تداخل اتاق ${emphasize(issue.ownerName)} روز ${issue.day} زنگ ${toPersianNumber(issue.period)} در کلاس‌های: ${issue.classNames.join(', ')}`;
+            case 'dayOff':
+                return `دبیر ${emphasize(issue.teacherName)} در روز آزاد خود (${issue.day}) کلاس دارد.`;
+            case 'maxDailyPeriods':
+                return `دبیر ${emphasize(issue.teacherName)} روز ${issue.day} ${toPersianNumber(issue.count)} زنگ دارد (سقف: ${toPersianNumber(issue.limit)}).`;
+            case 'maxDays':
+                return `دبیر ${emphasize(issue.teacherName)} ${toPersianNumber(issue.count)} روز در مدرسه حضور دارد (سقف: ${toPersianNumber(issue.limit)}).`;
+            case 'wrongWeek':
+                return `درس ${emphasize(issue.lessonName)} (${issue.className}) طبق الگوی «${WEEK_PATTERN_TEXT[issue.pattern]}» در این هفته برگزار نمی‌شود.`;
+            case 'extraSessions':
+                return `درس ${emphasize(issue.lessonName)} (${issue.className}) ${toPersianNumber(issue.count)} بار چیده شده اما در این هفته ${toPersianNumber(issue.target)} جلسه دارد.`;
+            case 'sameDay':
+                return `درس ${emphasize(issue.lessonName)} (${issue.className}) در روز ${issue.day} بیش از یک جلسه دارد.`;
+            case 'roomShortage':
+                return `کمبود اتاق ${emphasize(issue.roomType)} برای درس ${issue.lessonName} (${issue.className}) روز ${issue.day} زنگ ${toPersianNumber(issue.period)}`;
+            default:
+                return '';
+        }
+    };
+
+    const compareSlotKeys = (a, b) => {
+        const [dayA, periodA] = a.split('_');
+        const [dayB, periodB] = b.split('_');
+        return ALL_DAYS.indexOf(dayA) - ALL_DAYS.indexOf(dayB) || periodA - periodB;
+    };
+
+    // What changed between two versions of one week. Each side is `{ lessons, schedule }` with the schedule of a single
+    // week; sessions are matched by lesson id in the lesson's primary class row. A session that left one slot and took
+    // another is `moved`, and one that stayed but now has another teacher is `teacher`.
+    const diffWeekSchedules = (before, after) => {
+        const collectStarts = ({ lessons, schedule }) => {
+            const lessonsById = new Map(lessons.map(l => [l.id, l]));
+            const starts = new Map();
+            Object.entries(schedule || {}).forEach(([classId, classSchedule]) => {
+                Object.entries(classSchedule).forEach(([key, slot]) => slot.forEach(entry => {
+                    const lesson = lessonsById.get(entry.lessonId);
+                    if (!entry.isStart || (lesson && lesson.classId !== classId)) return;
+                    if (!starts.has(entry.lessonId)) starts.set(entry.lessonId, []);
+                    starts.get(entry.lessonId).push({ classId, key });
+                }));
+            });
+            starts.forEach(list => list.sort((a, b) => compareSlotKeys(a.key, b.key)));
+            return { lessonsById, starts };
+        };
+        const was = collectStarts(before);
+        const is = collectStarts(after);
+
+        const changes = [];
+        let unchanged = 0;
+        new Set([...was.starts.keys(), ...is.starts.keys()]).forEach(lessonId => {
+            const oldStarts = was.starts.get(lessonId) || [];
+            const newStarts = is.starts.get(lessonId) || [];
+            const fromTeacherId = was.lessonsById.get(lessonId)?.teacherId || null;
+            const toTeacherId = is.lessonsById.get(lessonId)?.teacherId || null;
+            const teacherChanged = Boolean(fromTeacherId && toTeacherId && fromTeacherId !== toTeacherId);
+            const base = { lessonId, fromTeacherId, toTeacherId };
+
+            newStarts.filter(s => oldStarts.some(o => o.key === s.key)).forEach(({ classId, key }) => {
+                if (teacherChanged) changes.push({ ...base, type: 'teacher', classId, from: key, to: key });
+                else unchanged++;
+            });
+            const removed = oldStarts.filter(o => !newStarts.some(s => s.key === o.key));
+            const added = newStarts.filter(s => !oldStarts.some(o => o.key === s.key));
+            const moves = Math.min(removed.length, added.length);
+            for (let i = 0; i < moves; i++) {
+                changes.push({ ...base, type: 'moved', classId: added[i].classId, from: removed[i].key, to: added[i].key });
+            }
+            removed.slice(moves).forEach(({ classId, key }) => changes.push({ ...base, type: 'removed', classId, from: key, to: null }));
+            added.slice(moves).forEach(({ classId, key }) => changes.push({ ...base, type: 'added', classId, from: null, to: key }));
+        });
+        changes.sort((a, b) => compareSlotKeys(a.to || a.from, b.to || b.from));
+        return { changes, unchanged };
+    };
+
+    const DIFF_TYPE_TEXT = {
+        added: 'اضافه شده',
+        removed: 'حذف شده',
+        moved: 'جابه‌جا شده',
+        teacher: 'تغییر دبیر',
+    };
+
+    const SchedulerCore = {
+        ALL_DAYS, DEFAULT_BELL_TIMES, MAX_PERIODS_PER_DAY, DEFAULT_HOUR_MULTIPLIER, WEEK_PATTERN_TEXT, UNPLACED_REASON_TEXT, DIFF_TYPE_TEXT,
+        createDefaultBellSchedule, createDefaultState, normalizeState, isBackupData,
+        toPersianNumber, formatBellTime, cleanName, getLessonSessions, getLessonWeekPattern, getOtherWeek, getWeekName, getDayOfDate, parseWeekPattern,
+        getLessonClassIds, getEntryRoomId, parseSubjects, isTeacherQualified, generateColorFromString, findKey, describeIssue, diffWeekSchedules,
+        createScheduleCore,
+    };
+    globalThis.SchedulerCore = SchedulerCore;
+    if (typeof module === 'object' && module.exports) module.exports = SchedulerCore;
+})();
@@ -0,0 +1,10 @@
+// ES module entry point of the scheduler core, for bundlers, pages served over http(s) and Node.js.
+// scheduler-core.js itself stays a classic script: browsers refuse module scripts on pages opened from disk
+// (file://), and index.html has to keep working that way.
+import './scheduler-engine.js';
+import './scheduler-core.js';
+
+const { SchedulerCore } = globalThis;
+
+export const { createScheduleCore, createDefaultState, normalizeState, isBackupData, describeIssue } = SchedulerCore;
+export default SchedulerCore;
@@ -0,0 +1,265 @@
+// Automatic scheduling engine. Plain data in, plain data out: no DOM and no access to the page's state,
+// so the same file runs inside scheduler-worker.js and, where workers are unavailable, on the page itself.
+(() => {
+    const AUTO_SCHEDULE_MAX_STEPS = 20000;
+    const AUTO_SCHEDULE_RESTARTS = 8;
+    const AUTO_SCHEDULE_PROGRESS_STEPS = 500;
+
+    // mulberry32: small, fast and good enough to make a scheduling run reproducible from its seed.
+    const createSeededRandom = (seed) => {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    };
+
+    const shuffleWithRandom = (items, random) => {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    };
+
+    /**
+     * Places every unplaced lesson session of one week with a randomized backtracking search.
+     * Works on plain data only: { lessons, sessionTargets, schedule, merges, unavailable, teacherRules, rooms, classSizes, days, dayPeriods }
+     * of the target week; `sessionTargets` maps a lesson id to the sessions it needs in this week and defaults to the lesson's `sessions`,
+     * and `classSizes` maps a class id to its number of students.
+     * Entries flagged `auto` may be moved when `moveAutoPlaced` is set unless they are `pinned`; every other entry stays where it is.
+     * `onProgress({ placed, total, steps })` is called whenever the best partial result grows and every few hundred search steps.
+     * Returns the placements of the movable lessons and the lessons that could not be placed, with a reason code.
+     */
+    const solveWeekSchedule = (data, { seed = 1, moveAutoPlaced = true, maxSteps = AUTO_SCHEDULE_MAX_STEPS, restarts = AUTO_SCHEDULE_RESTARTS, onProgress = null } = {}) => {
+        const random = createSeededRandom(seed);
+        const lessonsById = new Map(data.lessons.map(l => [l.id, l]));
+        const classBusy = new Set();
+        const teacherBusy = new Set();
+        const roomBusy = new Set();
+        const teacherDayLoad = new Map();
+        const sessionDays = new Map();
+        const placedSessions = new Map();
+        const teacherRules = data.teacherRules || {};
+        const typedRooms = (data.rooms || []).filter(r => r.type);
+        const roomById = new Map(typedRooms.map(r => [r.id, r]));
+        // Capacities of each room type, largest first; a room without a capacity seats any class.
+        const roomCapacities = new Map();
+        typedRooms.forEach(room => {
+            if (!roomCapacities.has(room.type)) roomCapacities.set(room.type, []);
+            roomCapacities.get(room.type).push(room.capacity || Infinity);
+        });
+        roomCapacities.forEach(capacities => capacities.sort((a, b) => b - a));
+        // Sizes of the sessions holding a room of one type in one period.
+        const roomTypeLoad = new Map();
+        // Lessons asking for a room type, and lessons with an explicit typed room, both use up one room of that type.
+        const getLessonRoomType = (lesson) => lesson.roomType || roomById.get(lesson.roomId)?.type || null;
+
+        const lessonClassIds = (lesson) => [lesson.classId, ...(lesson.jointClassIds || [])];
+
+        // Students a session has to seat: the joint classes together, or the capacity of the room it is bound to.
+        // An unknown size fits any room, as in the room assignment.
+        const getLessonSize = (lesson) => lesson.roomId
+            ? (roomById.get(lesson.roomId)?.capacity || 0)
+            : lessonClassIds(lesson).reduce((sum, classId) => sum + (data.classSizes?.[classId] || 0), 0);
+        const countFittingRooms = (roomType, size) => (roomCapacities.get(roomType) || []).filter(capacity => capacity >= size).length;
+
+        // Every class row of a joint lesson needs a merge starting at `start` that is long enough, or a plain cell
+        // for a one-period lesson; otherwise the rows' cell spans would no longer line up.
+        const fitsCellSpans = (lesson, day, start) => lessonClassIds(lesson).every(classId => {
+            const merge = data.merges.find(m => m.classId === classId && m.day === day && start >= m.startPeriod && start < m.startPeriod + m.count);
+            return merge ? merge.startPeriod === start && merge.count >= lesson.periods : lesson.periods <= 1;
+        });
+
+        const occupy = (lesson, keys, add) => {
+            keys.forEach(key => {
+                const op = add ? 'add' : 'delete';
+                lessonClassIds(lesson).forEach(classId => classBusy[op](`${classId}|${key}`));
+                if (lesson.teacherId) {
+                    teacherBusy[op](`${lesson.teacherId}|${key}`);
+                    const loadKey = `${lesson.teacherId}|${key.split('_')[0]}`;
+                    teacherDayLoad.set(loadKey, (teacherDayLoad.get(loadKey) || 0) + (add ? 1 : -1));
+                }
+                if (lesson.roomId) roomBusy[op](`${lesson.roomId}|${key}`);
+                const roomType = getLessonRoomType(lesson);
+                if (roomType) {
+                    const loadKey = `${roomType}|${key}`;
+                    const sizes = roomTypeLoad.get(loadKey) || [];
+                    if (add) sizes.push(getLessonSize(lesson));
+                    else sizes.splice(sizes.indexOf(getLessonSize(lesson)), 1);
+                    roomTypeLoad.set(loadKey, sizes);
+                }
+            });
+        };
+
+        // A type nobody has defined rooms for is not limited here; the validation panel reports the shortage instead.
+        // Otherwise the rooms have to seat every session of the type in that period: taking the sessions largest first,
+        // the n-th one needs at least n rooms big enough for it.
+        const hasFreeRoomOfType = (lesson, key) => {
+            if (!lesson.roomType || !roomCapacities.has(lesson.roomType)) return true;
+            const sizes = [...(roomTypeLoad.get(`${lesson.roomType}|${key}`) || []), getLessonSize(lesson)].sort((a, b) => b - a);
+            return sizes.every((size, i) => countFittingRooms(lesson.roomType, size) > i);
+        };
+
+        const markSessionDay = (lesson, day, add) => {
+            const key = `${lesson.id}|${day}`;
+            sessionDays.set(key, (sessionDays.get(key) || 0) + (add ? 1 : -1));
+        };
+
+        const assign = (lesson, value, add) => {
+            occupy(lesson, value.keys, add);
+            markSessionDay(lesson, value.day, add);
+        };
+
+        // Daily maximum and days-on-campus rules; days off are already removed from each lesson's domain.
+        const fitsTeacherRules = (lesson, value) => {
+            const rules = teacherRules[lesson.teacherId];
+            if (!rules) return true;
+            const dayLoad = teacherDayLoad.get(`${lesson.teacherId}|${value.day}`) || 0;
+            if (rules.maxDailyPeriods && dayLoad + value.keys.length > rules.maxDailyPeriods) return false;
+            if (rules.maxDays && dayLoad === 0) {
+                const presentDays = data.days.filter(day => (teacherDayLoad.get(`${lesson.teacherId}|${day}`) || 0) > 0).length;
+                if (presentDays >= rules.maxDays) return false;
+            }
+            return true;
+        };
+
+        Object.entries(data.schedule).forEach(([classId, classSchedule]) => {
+            Object.entries(classSchedule).forEach(([key, slot]) => {
+                slot.forEach(entry => {
+                    const lesson = lessonsById.get(entry.lessonId);
+                    // Joint copies in the other class rows are covered by the primary row's entry.
+                    if (!lesson || classId !== lesson.classId) return;
+                    if (entry.auto && moveAutoPlaced && !entry.pinned) return;
+                    if (entry.isStart) {
+                        placedSessions.set(lesson.id, (placedSessions.get(lesson.id) || 0) + 1);
+                        markSessionDay(lesson, key.split('_')[0], true);
+                    }
+                    occupy(lesson, [key], true);
+                });
+            });
+        });
+
+        const lockedKeys = new Set(data.unavailable.map(c => `${c.type}|${c.id}|${c.day}_${c.period}`));
+        const tasks = [];
+        const unplaced = [];
+
+        data.lessons.forEach(lesson => {
+            const remaining = (data.sessionTargets?.[lesson.id] ?? (lesson.sessions || 1)) - (placedSessions.get(lesson.id) || 0);
+            if (remaining <= 0) return;
+            if (lesson.roomType && roomCapacities.has(lesson.roomType) && countFittingRooms(lesson.roomType, getLessonSize(lesson)) === 0) {
+                for (let session = 0; session < remaining; session++) unplaced.push({ lessonId: lesson.id, reason: 'capacity' });
+                return;
+            }
+            const domain = [];
+            let hasSpan = false;
+            data.days.forEach(day => {
+                if (teacherRules[lesson.teacherId]?.daysOff?.includes(day)) return;
+                for (let start = 1; start <= data.dayPeriods[day]; start++) {
+                    if (!fitsCellSpans(lesson, day, start)) continue;
+                    hasSpan = true;
+                    const keys = [];
+                    for (let i = 0; i < lesson.periods; i++) {
+                        const key = `${day}_${start + i}`;
+                        if (lessonClassIds(lesson).some(classId => classBusy.has(`${classId}|${key}`) || lockedKeys.has(`class|${classId}|${key}`)) || lockedKeys.has(`teacher|${lesson.teacherId}|${key}`)) break;
+                        keys.push(key);
+                    }
+                    if (keys.length === lesson.periods) domain.push({ day, startPeriod: start, keys });
+                }
+            });
+            for (let session = 0; session < remaining; session++) {
+                if (domain.length === 0) {
+                    unplaced.push({ lessonId: lesson.id, reason: hasSpan ? 'blocked' : 'span' });
+                } else {
+                    tasks.push({ lesson, domain });
+                }
+            }
+        });
+
+        const isFeasible = (lesson, value) => value.keys.every(key =>
+            !lessonClassIds(lesson).some(classId => classBusy.has(`${classId}|${key}`)) &&
+            !(lesson.teacherId && teacherBusy.has(`${lesson.teacherId}|${key}`)) &&
+            !(lesson.roomId && roomBusy.has(`${lesson.roomId}|${key}`)) &&
+            hasFreeRoomOfType(lesson, key)
+        ) && !sessionDays.get(`${lesson.id}|${value.day}`) && fitsTeacherRules(lesson, value);
+
+        let best = new Map();
+        let steps = 0;
+        const reportProgress = () => onProgress?.({ placed: best.size, total: tasks.length, steps });
+        reportProgress();
+
+        for (let attempt = 0; attempt < restarts && best.size < tasks.length; attempt++) {
+            const attemptTasks = tasks.map(task => ({ ...task, origin: task, domain: shuffleWithRandom(task.domain, random) }));
+            const assignment = new Map();
+            let budget = Math.ceil(maxSteps / restarts);
+
+            const search = () => {
+                if (budget-- <= 0) return 'limit';
+                steps++;
+                if (steps % AUTO_SCHEDULE_PROGRESS_STEPS === 0) reportProgress();
+                // Most-constrained lesson first: the one with the fewest slots still open.
+                let chosen = null;
+                let chosenValues = null;
+                for (const task of attemptTasks) {
+                    if (assignment.has(task)) continue;
+                    const values = task.domain.filter(value => isFeasible(task.lesson, value));
+                    if (!chosen || values.length < chosenValues.length) {
+                        chosen = task;
+                        chosenValues = values;
+                        if (values.length === 0) break;
+                    }
+                }
+                if (!chosen) return 'done';
+                for (const value of chosenValues) {
+                    assign(chosen.lesson, value, true);
+                    assignment.set(chosen, value);
+                    if (assignment.size > best.size) {
+                        best = new Map([...assignment].map(([task, v]) => [task.origin, v]));
+                        reportProgress();
+                    }
+                    const result = search();
+                    if (result !== 'fail') return result;
+                    assignment.delete(chosen);
+                    assign(chosen.lesson, value, false);
+                }
+                return 'fail';
+            };
+
+            search();
+            // Release the attempt's placements so the next attempt starts from the fixed entries only.
+            assignment.forEach((value, task) => assign(task.lesson, value, false));
+        }
+
+        const placements = [];
+        best.forEach((value, task) => {
+            assign(task.lesson, value, true);
+            placements.push({ lessonId: task.lesson.id, classId: task.lesson.classId, day: value.day, startPeriod: value.startPeriod });
+        });
+
+        // The search may stop early; give every lesson it left behind one more greedy chance before reporting it.
+        tasks.filter(task => !best.has(task)).forEach(task => {
+            const value = task.domain.find(v => isFeasible(task.lesson, v));
+            if (value) {
+                assign(task.lesson, value, true);
+                placements.push({ lessonId: task.lesson.id, classId: task.lesson.classId, day: value.day, startPeriod: value.startPeriod });
+                return;
+            }
+            const blockers = new Set(task.domain.map(v => {
+                if (v.keys.some(key => lessonClassIds(task.lesson).some(classId => classBusy.has(`${classId}|${key}`)))) return 'blocked';
+                if (v.keys.some(key => task.lesson.teacherId && teacherBusy.has(`${task.lesson.teacherId}|${key}`))) return 'teacher';
+                if (v.keys.some(key => (task.lesson.roomId && roomBusy.has(`${task.lesson.roomId}|${key}`)) || !hasFreeRoomOfType(task.lesson, key))) return 'room';
+                if (sessionDays.get(`${task.lesson.id}|${v.day}`)) return 'sameDay';
+                return 'rules';
+            }));
+            unplaced.push({ lessonId: task.lesson.id, reason: blockers.size === 1 ? [...blockers][0] : 'mixed' });
+        });
+
+        return { placements, unplaced, steps, complete: unplaced.length === 0 };
+    };
+
+    globalThis.SchedulerEngine = { solveWeekSchedule };
+})();
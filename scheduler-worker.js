@@ -0,0 +1,16 @@
+// Runs the scheduling engine off the main thread. Receives { input, options } and posts back
+// { type: 'progress', placed, total, steps } messages followed by one { type: 'result', result } or { type: 'error', message }.
+importScripts('scheduler-engine.js');
+
+self.onmessage = ({ data }) => {
+    const { input, options } = data;
+    try {
+        const result = SchedulerEngine.solveWeekSchedule(input, {
+            ...options,
+            onProgress: (progress) => self.postMessage({ type: 'progress', ...progress }),
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
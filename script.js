@@ -20,60 +20,64 @@ document.addEventListener('DOMContentLoaded', () => {
         body: document.body,
         appContainer: getEl('app-container'),
         teacherSelector: getEl('teacher-selector'),
-        teacherSelectorContainer: getEl('teacher-selector-container'),
+        classSelector: getEl('class-selector'),
+        roomSelector: getEl('room-selector'),
         lessonsListEl: getEl('unplaced-lessons-list'),
         fullSchoolViewEl: getEl('full-school-view'),
-        teacherViewEl: getEl('teacher-view'),
         loadingSpinner: getEl('loading-spinner'),
         teacherLoadListEl: getEl('teacher-load-list'),
         conflictTooltip: getEl('conflict-tooltip'),
         validationPanel: getEl('validation-panel'),
         statsContainer: getEl('stats-container'),
         conflictsContainer: getEl('conflicts-container'),
+        qualityContainer: getEl('quality-container'),
         mergeToolBtn: getEl('merge-tool-btn'),
+        liveRegion: getEl('a11y-announcer'),
+        undoBtn: getEl('undo-btn'),
+        redoBtn: getEl('redo-btn'),
         copyToWeekBBtn: getEl('copy-to-week-b-btn'),
+        copyToWeekABtn: getEl('copy-to-week-a-btn'),
         zoomSlider: getEl('zoom-slider'),
     };
 
     // --- 2. Application State ---
     let state = {};
     let backupInterval;
+    let editHistory = { undo: [], redo: [] };
+
+    const {
+        ALL_DAYS, DEFAULT_BELL_TIMES, MAX_PERIODS_PER_DAY, WEEK_PATTERN_TEXT, UNPLACED_REASON_TEXT,
+        toPersianNumber, formatBellTime, cleanName, getLessonSessions, getLessonWeekPattern, getOtherWeek, getWeekName, getDayOfDate,
+        getLessonClassIds, getEntryRoomId, isTeacherQualified, describeIssue,
+    } = SchedulerCore;
+
+    // The schedule model and its rules live in scheduler-core.js; the core always works on the current `state`.
+    const core = SchedulerCore.createScheduleCore(() => state);
+    const {
+        getActiveDays, getDayPeriods, getMaxPeriods, getBellTime, getRoomTypes,
+        getLessonById, getTeacherById, getClassById, getRoomById, getLessonClassNames, getTeacherHourMultiplier,
+        getPlacedCountsByWeek, getRemainingSessions, invalidateSlotIndex,
+        placeLessonInSchedule, removeLessonFromSchedule, getPlacementEntries, isPlacementPinned, clearWeek,
+        fitsCellSpans, relinkLessonClasses, syncMovesToOtherWeek, assignAllColors,
+        isSlotLocked, getTeacherRules, checkTeacherRules, assignRooms, hasSessionOnDay, checkForConflict,
+        computeScheduleQuality, computeTeacherLoads, getAbsenceSessions, rankSubstitutes, buildAutoScheduleInput, buildAutoSchedulePreview,
+    } = core;
 
     const setDefaultState = () => {
         state = {
-            teachers: [],
-            lessons: [],
-            classes: [],
-            rooms: [],
-            constraints: { unavailable: [] },
-            schedule: { A: {}, B: {} },
-            merges: { A: [], B: [] },
-            changeLog: [],
-            lessonColors: {},
-            fieldColors: {},
-            activeHighlights: [],
+            ...SchedulerCore.createDefaultState(),
             draggedElementInfo: null,
-            activeWeek: 'A',
             activeView: 'full',
             isMergeMode: false,
             mergeSelection: [],
-            settings: {
-                bwPrint: false,
-                integratedView: false,
-                isSixDayWeek: true, // <-- NEW
-            }
         };
     };
 
     // --- 3. Utility Functions ---
-    const toPersianNumber = (n) => n != null ? n.toString().replace(/\d/g, d => '۰۱۲۳۴۵۶۷۸۹' [d]) : '';
-
-    const getActiveDays = () => {
-        const allDays = ['شنبه', 'یکشنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنج‌شنبه'];
-        if (state.settings.isSixDayWeek) {
-            return allDays;
-        }
-        return allDays.slice(0, 5); // Returns only Sat-Wed
+    const shiftTime = (time, minutes) => {
+        const [h, m] = (time || '00:00').split(':').map(Number);
+        const total = Math.min(Math.max(h * 60 + m + minutes, 0), 23 * 60 + 59);
+        return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
     };
 
     const showLoading = (isLoading) => DOMElements.loadingSpinner.classList.toggle('hidden', !isLoading);
@@ -83,7 +87,6 @@ document.addEventListener('DOMContentLoaded', () => {
         'class': 'کلاس',
         'room': 'اتاق'
     })[type] || '';
-    const cleanName = (name) => name ? name.toString().replace(/^\d+-\s*/, '') : '';
 
     const hexToRgb = (hex) => {
         const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
@@ -94,19 +97,6 @@ document.addEventListener('DOMContentLoaded', () => {
         } : null;
     };
 
-    const generateColorFromString = (str) => {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            hash = str.charCodeAt(i) + ((hash << 5) - hash);
-        }
-        let color = '#';
-        for (let i = 0; i < 3; i++) {
-            const value = (hash >> (i * 8)) & 0xFF;
-            color += `00${(value & 0x7F | 0x80).toString(16)}`.slice(-2);
-        }
-        return color;
-    };
-
     const showToast = (message, type = 'info', duration = 5000, customHTML = '') => {
         const toastContainer = getEl('toast-container');
         if (!toastContainer) return;
@@ -120,19 +110,64 @@ document.addEventListener('DOMContentLoaded', () => {
         }, duration);
     };
 
+    // Reads `message` out through the live region; messages announced in the same moment are read together.
+    let pendingAnnouncements = [];
+    const announce = (message) => {
+        if (!DOMElements.liveRegion || pendingAnnouncements.push(message) > 1) return;
+        DOMElements.liveRegion.textContent = '';
+        setTimeout(() => {
+            DOMElements.liveRegion.textContent = pendingAnnouncements.join(' ');
+            pendingAnnouncements = [];
+        }, 100);
+    };
+
+    // Focuses the dialog's first button and lets Escape cancel; `close` hands focus back to where it was.
+    const openDialog = (modal, onCancel) => {
+        const returnFocus = document.activeElement;
+        modal.style.display = 'flex';
+        modal.querySelector('button')?.focus();
+        modal.onkeydown = (e) => {
+            if (e.key === 'Escape') onCancel();
+        };
+        return () => {
+            modal.style.display = 'none';
+            modal.onkeydown = null;
+            if (returnFocus?.isConnected) returnFocus.focus();
+        };
+    };
+
     const showConfirm = (title, text) => {
         getEl('confirm-title').textContent = title;
         getEl('confirm-text').textContent = text;
-        const confirmModal = getEl('confirm-modal');
-        confirmModal.style.display = 'flex';
         return new Promise((resolve) => {
-            getEl('confirm-yes-btn').onclick = () => {
-                confirmModal.style.display = 'none';
-                resolve(true);
+            const answer = (value) => {
+                close();
+                resolve(value);
             };
-            getEl('confirm-no-btn').onclick = () => {
-                confirmModal.style.display = 'none';
-                resolve(false);
+            const close = openDialog(getEl('confirm-modal'), () => answer(false));
+            getEl('confirm-yes-btn').onclick = () => answer(true);
+            getEl('confirm-no-btn').onclick = () => answer(false);
+        });
+    };
+
+    // Like showConfirm, but with one button per choice; resolves to the chosen value or null when cancelled.
+    const showChoice = (title, text, choices) => {
+        getEl('choice-title').textContent = title;
+        getEl('choice-text').textContent = text;
+        const choiceModal = getEl('choice-modal');
+        const buttons = getEl('choice-buttons');
+        buttons.innerHTML = choices.map(c => `<button class="form-submit-btn ${c.className || ''}" data-choice="${c.value}">${c.label}</button>`).join('') +
+            '<button class="form-submit-btn secondary" data-choice="">انصراف</button>';
+        return new Promise((resolve) => {
+            const close = openDialog(choiceModal, () => {
+                close();
+                resolve(null);
+            });
+            buttons.onclick = (e) => {
+                const button = e.target.closest('[data-choice]');
+                if (!button) return;
+                close();
+                resolve(button.dataset.choice || null);
             };
         });
     };
@@ -147,25 +182,13 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    const findKey = (row, possibleKeys) => {
-        const rowKeys = Object.keys(row).map(k => k.trim().toLowerCase());
-        for (const pKey of possibleKeys) {
-            const keyIndex = rowKeys.indexOf(pKey.toLowerCase());
-            if (keyIndex !== -1) {
-                return Object.keys(row)[keyIndex];
-            }
-        }
-        return null;
-    };
-
     // --- 4. Core Application Logic ---
-    function initializeApp() {
+    async function initializeApp() {
         showLoading(true);
         try {
-            loadState();
+            await openProjects();
+            await loadActiveProject();
             setupEventListeners();
-            renderAll();
-            switchView(state.activeView || 'full');
             startBackupReminder();
         } catch (error) {
             console.error("Initialization failed:", error);
@@ -176,7 +199,175 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // --- 5. Data Persistence & I/O ---
+    // --- Projects ---
+    // Each project (a school branch, or a draft scenario of one) keeps its saved state in its own IndexedDB record.
+    // localStorage only remembers the open project and the theme, plus each project's undo history.
+    const PROJECTS_DB_NAME = 'schoolScheduleProjects';
+    const PROJECTS_STORE = 'projects';
+    const ACTIVE_PROJECT_KEY = 'schoolScheduleActiveProject';
+    const LEGACY_STATE_KEYS = ['v16', 'v15', 'v14', 'v13', 'v12', 'v11', 'v10'].map(version => `schoolScheduleData_${version}`);
+    let projectsDB = null; // stays null where IndexedDB can't be opened; the state is then kept in localStorage as before
+    let projects = []; // { id, name, createdAt, updatedAt } of every project, without its data
+    let activeProjectId = null;
+    let projectTasks = Promise.resolve(); // database work runs in order, so an older save never overwrites a newer one
+
+    const idbRequest = (request) => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    const projectStore = (mode = 'readonly') => projectsDB.transaction(PROJECTS_STORE, mode).objectStore(PROJECTS_STORE);
+    const getProjectRecord = (id) => idbRequest(projectStore().get(id));
+    const putProjectRecord = (record) => idbRequest(projectStore('readwrite').put(record));
+    const getProjectName = (id = activeProjectId) => projects.find(p => p.id === id)?.name || '';
+    const readLegacyState = () => LEGACY_STATE_KEYS.map(key => localStorage.getItem(key)).find(Boolean) || null;
+
+    const createProjectRecord = (name, data = null) => {
+        const now = new Date().toISOString();
+        return { id: `p${Date.now()}${Math.random()}`, name, createdAt: now, updatedAt: now, data };
+    };
+
+    const runProjectTask = (task) => {
+        const run = projectTasks.then(task);
+        projectTasks = run.catch(() => {});
+        return run;
+    };
+
+    // Opens the database and picks the project to load; data saved by older versions becomes the first project.
+    const openProjects = async () => {
+        if (typeof indexedDB === 'undefined') return;
+        try {
+            projectsDB = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(PROJECTS_DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.warn('IndexedDB unavailable, keeping data in localStorage:', error);
+            projectsDB = null;
+            return;
+        }
+
+        let records = await idbRequest(projectStore().getAll());
+        if (records.length === 0) {
+            const record = createProjectRecord('برنامه اصلی', readLegacyState());
+            await putProjectRecord(record);
+            const legacyHistory = localStorage.getItem(HISTORY_STORAGE_KEY);
+            if (legacyHistory) localStorage.setItem(getHistoryStorageKey(record.id), legacyHistory);
+            [...LEGACY_STATE_KEYS, HISTORY_STORAGE_KEY].forEach(key => localStorage.removeItem(key));
+            records = [record];
+        }
+        projects = records.map(({ data, ...project }) => project).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        const savedId = localStorage.getItem(ACTIVE_PROJECT_KEY);
+        activeProjectId = projects.some(p => p.id === savedId) ? savedId : projects[0].id;
+        localStorage.setItem(ACTIVE_PROJECT_KEY, activeProjectId);
+    };
+
+    const readProjectData = () => projectsDB
+        ? runProjectTask(async () => (await getProjectRecord(activeProjectId))?.data || null)
+        : Promise.resolve(readLegacyState());
+
+    const writeProjectData = (id, data) => runProjectTask(async () => {
+        const project = projects.find(p => p.id === id);
+        if (!project) return; // deleted in the meantime
+        project.updatedAt = new Date().toISOString();
+        await putProjectRecord({ ...project, data });
+    }).catch(error => {
+        console.error("Failed to save state:", error);
+        showToast("خطا در ذخیره‌سازی اطلاعات.", "error");
+    });
+
+    const loadActiveProject = async () => {
+        loadState(await readProjectData());
+        loadHistory();
+        renderProjectSelector();
+        switchWeek(state.activeWeek);
+        switchView(state.activeView || 'full');
+    };
+
+    const switchProject = async (id) => {
+        if (!projectsDB || id === activeProjectId || !projects.some(p => p.id === id)) return;
+        cancelAutoSchedule();
+        discardAutoSchedule();
+        if (state.isMergeMode) toggleMergeMode();
+        activeProjectId = id;
+        localStorage.setItem(ACTIVE_PROJECT_KEY, id);
+        showLoading(true);
+        try {
+            await loadActiveProject();
+        } finally {
+            showLoading(false);
+        }
+        renderProjectsList();
+        showToast(`پروژه "${getProjectName()}" باز شد.`, 'success', 2500);
+    };
+
+    const createProject = async (name) => {
+        const record = createProjectRecord(name);
+        await runProjectTask(() => putProjectRecord(record));
+        const { data, ...project } = record;
+        projects.push(project);
+        await switchProject(project.id);
+    };
+
+    // Copies a project with its current data under a new name, e.g. to try out a draft without touching the original.
+    const duplicateProject = async (id) => {
+        const record = await runProjectTask(() => getProjectRecord(id));
+        if (!record) return;
+        const copy = createProjectRecord(`${record.name} (پیش‌نویس)`, record.data);
+        await runProjectTask(() => putProjectRecord(copy));
+        const { data, ...project } = copy;
+        projects.push(project);
+        renderProjectSelector();
+        renderProjectsList();
+        showToast(`نسخه "${project.name}" ساخته شد.`, 'success');
+    };
+
+    const renameProject = async (id, name) => {
+        const project = projects.find(p => p.id === id);
+        if (!project || !name || name === project.name) return;
+        project.name = name;
+        await runProjectTask(async () => {
+            const record = await getProjectRecord(id);
+            if (record) await putProjectRecord({ ...record, name });
+        });
+        renderProjectSelector();
+    };
+
+    const deleteProject = async (id) => {
+        if (projects.length < 2) {
+            showToast('آخرین پروژه را نمی‌توان حذف کرد.', 'warning');
+            return;
+        }
+        const name = getProjectName(id);
+        if (id === activeProjectId) await switchProject(projects.find(p => p.id !== id).id);
+        await runProjectTask(() => idbRequest(projectStore('readwrite').delete(id)));
+        localStorage.removeItem(getHistoryStorageKey(id));
+        projects = projects.filter(p => p.id !== id);
+        renderProjectSelector();
+        renderProjectsList();
+        showToast(`پروژه "${name}" حذف شد.`, 'success');
+    };
+
+    // Empties the open project; other projects and the theme are left alone.
+    const resetActiveProject = async () => {
+        localStorage.removeItem(getHistoryStorageKey());
+        if (projectsDB) {
+            await writeProjectData(activeProjectId, null);
+        } else {
+            LEGACY_STATE_KEYS.forEach(key => localStorage.removeItem(key));
+        }
+        await loadActiveProject();
+    };
+
     const saveState = () => {
+        // Rooms requested by type are derived from the placements, so refresh them before every save.
+        assignRooms('A');
+        assignRooms('B');
+        if (projectsDB) {
+            writeProjectData(activeProjectId, JSON.stringify(state));
+            return;
+        }
         try {
             localStorage.setItem('schoolScheduleData_v16', JSON.stringify(state));
         } catch (error) {
@@ -185,21 +376,12 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    const loadState = () => {
-        const savedState = localStorage.getItem('schoolScheduleData_v16') || localStorage.getItem('schoolScheduleData_v15') || localStorage.getItem('schoolScheduleData_v14') || localStorage.getItem('schoolScheduleData_v13') || localStorage.getItem('schoolScheduleData_v12') || localStorage.getItem('schoolScheduleData_v11') || localStorage.getItem('schoolScheduleData_v10');
+    const loadState = (savedState) => {
         setDefaultState();
         if (savedState) {
-            const loaded = JSON.parse(savedState);
-            state = {
-                ...state,
-                ...loaded,
-                schedule: loaded.schedule || { A: {}, B: {} },
-                merges: loaded.merges || { A: [], B: [] },
-                changeLog: loaded.changeLog || [],
-                constraints: loaded.constraints || { unavailable: [] },
-                activeHighlights: loaded.activeHighlights || [],
-                settings: { ...state.settings, ...(loaded.settings || {}) }
-            };
+            state = { ...state, ...SchedulerCore.normalizeState(JSON.parse(savedState)) };
+            assignRooms('A');
+            assignRooms('B');
         }
         assignAllColors();
         const themeToggle = getEl('theme-toggle');
@@ -221,8 +403,103 @@ document.addEventListener('DOMContentLoaded', () => {
         if (sixDayWeekToggle) {
             sixDayWeekToggle.checked = state.settings.isSixDayWeek;
         }
+        const syncWeeksToggle = getEl('sync-weeks-toggle');
+        if (syncWeeksToggle) {
+            syncWeeksToggle.checked = state.settings.syncWeeks;
+        }
+    };
+
+    // --- Undo / Redo History ---
+    // Each history step is a JSON snapshot of the schedule data taken right before a mutation.
+    const HISTORY_STORAGE_KEY = 'schoolScheduleHistory_v16';
+    const getHistoryStorageKey = (projectId = activeProjectId) => projectId ? `${HISTORY_STORAGE_KEY}_${projectId}` : HISTORY_STORAGE_KEY;
+    const HISTORY_LIMIT = 30;
+    const HISTORY_KEYS = ['teachers', 'lessons', 'classes', 'rooms', 'constraints', 'schedule', 'merges', 'substitutions', 'lessonColors', 'fieldColors'];
+
+    const takeSnapshot = () => JSON.stringify({
+        ...Object.fromEntries(HISTORY_KEYS.map(key => [key, state[key]])),
+        bellSchedule: state.settings.bellSchedule,
+    });
+
+    const applySnapshot = (snapshot) => {
+        const data = JSON.parse(snapshot);
+        HISTORY_KEYS.forEach(key => {
+            if (data[key] !== undefined) state[key] = data[key];
+        });
+        if (data.bellSchedule) state.settings.bellSchedule = data.bellSchedule;
+    };
+
+    const saveHistory = () => {
+        while (true) {
+            try {
+                localStorage.setItem(getHistoryStorageKey(), JSON.stringify(editHistory));
+                return;
+            } catch (error) {
+                // Storage is full: give up the oldest steps first, the schedule itself matters more.
+                if (editHistory.undo.length > 0) editHistory.undo.shift();
+                else if (editHistory.redo.length > 0) editHistory.redo.shift();
+                else {
+                    console.error("Failed to save history:", error);
+                    return;
+                }
+            }
+        }
     };
 
+    const loadHistory = () => {
+        try {
+            const saved = JSON.parse(localStorage.getItem(getHistoryStorageKey()));
+            editHistory = { undo: saved?.undo || [], redo: saved?.redo || [] };
+        } catch (error) {
+            editHistory = { undo: [], redo: [] };
+        }
+        updateHistoryButtons();
+    };
+
+    const updateHistoryButtons = () => {
+        const lastUndo = editHistory.undo[editHistory.undo.length - 1];
+        const lastRedo = editHistory.redo[editHistory.redo.length - 1];
+        if (DOMElements.undoBtn) {
+            DOMElements.undoBtn.disabled = !lastUndo;
+            DOMElements.undoBtn.title = lastUndo ? `واگرد: ${lastUndo.label} (Ctrl+Z)` : 'واگرد (Ctrl+Z)';
+        }
+        if (DOMElements.redoBtn) {
+            DOMElements.redoBtn.disabled = !lastRedo;
+            DOMElements.redoBtn.title = lastRedo ? `انجام مجدد: ${lastRedo.label} (Ctrl+Y)` : 'انجام مجدد (Ctrl+Y)';
+        }
+    };
+
+    // Must be called before the mutation it describes.
+    const recordHistory = (label) => {
+        editHistory.undo.push({ label, snapshot: takeSnapshot() });
+        if (editHistory.undo.length > HISTORY_LIMIT) editHistory.undo.shift();
+        editHistory.redo = [];
+        saveHistory();
+        updateHistoryButtons();
+    };
+
+    const stepHistory = (direction) => {
+        const from = direction === 'undo' ? editHistory.undo : editHistory.redo;
+        const to = direction === 'undo' ? editHistory.redo : editHistory.undo;
+        const step = from.pop();
+        if (!step) return;
+        const actionName = direction === 'undo' ? 'واگرد' : 'انجام مجدد';
+        to.push({ label: step.label, snapshot: takeSnapshot() });
+        applySnapshot(step.snapshot);
+        logChange(`${actionName}: ${step.label}`);
+        assignAllColors();
+        saveState();
+        saveHistory();
+        updateHistoryButtons();
+        if (getEl('settings-modal').style.display === 'flex') renderManagementLists();
+        if (getEl('substitute-modal').style.display === 'flex') renderAbsence();
+        renderAll();
+        showToast(`${actionName}: ${step.label}`, 'info', 2500);
+    };
+
+    const undo = () => stepHistory('undo');
+    const redo = () => stepHistory('redo');
+
     const processExcelData = (file, processFunction) => {
         if (!file) return;
         showLoading(true);
@@ -233,6 +510,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 const workbook = XLSX.read(data, { type: 'array' });
                 const worksheet = workbook.Sheets[workbook.SheetNames[0]];
                 const json = XLSX.utils.sheet_to_json(worksheet);
+                recordHistory(`ورود اطلاعات از فایل اکسل: ${file.name}`);
                 processFunction(json);
                 logChange(`ورود اطلاعات از فایل اکسل: ${file.name}`);
                 saveState();
@@ -249,91 +527,114 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     const importTeachers = (data) => {
-        let newCount = 0;
-        data.forEach(row => {
-            const idKey = findKey(row, ['کد پرسنلی']);
-            const nameKey = findKey(row, ['نام']);
-            const familyKey = findKey(row, ['نام خانوادگی']);
-            if (!idKey || !nameKey || !familyKey) return;
-            const id = row[idKey]?.toString().trim();
-            const name = `${row[nameKey] || ''} ${row[familyKey] || ''}`.trim();
-            if (!id || !name) return;
-            if (!state.teachers.some(t => t.id === id)) {
-                state.teachers.push({ id, name });
-                newCount++;
-            }
-        });
+        const newCount = core.importTeacherRows(data);
         showToast(`${toPersianNumber(newCount)} دبیر جدید با موفقیت اضافه شد.`, 'success');
     };
 
     const importLessonsAndClasses = (data) => {
-        let newLessons = 0,
-            newClasses = 0;
-        const warnings = new Set();
-
-        data.forEach((row, index) => {
-            const classKey = findKey(row, ['کلاس']);
-            const lessonKey = findKey(row, ['نام درس']);
-            const teacherIdKey = findKey(row, ['کد پرسنلی']);
-            const periodsKey = findKey(row, ['تعداد زنگ']);
-            const fieldKey = findKey(row, ['رشته']);
-
-            if (!classKey || !lessonKey || !teacherIdKey) return;
-
-            const className = row[classKey]?.toString().trim();
-            const lessonName = row[lessonKey]?.toString().trim();
-            const teacherId = row[teacherIdKey]?.toString().trim();
-            const periods = periodsKey ? parseInt(row[periodsKey]) : 1;
-            const field = fieldKey ? row[fieldKey]?.toString().trim() : 'عمومی';
-
-            if (!className || !lessonName || !teacherId) return;
+        const { newLessons, newClasses, warnings } = core.importLessonRows(data);
+        if (warnings.length > 0) {
+            showToast(`چندین هشدار:\n${warnings.join('\n')}`, 'warning', 8000);
+        }
+        showToast(`${toPersianNumber(newClasses)} کلاس و ${toPersianNumber(newLessons)} درس جدید با موفقیت اضافه شدند.`, 'success');
+    };
 
-            if (!state.teachers.some(t => t.id === teacherId)) {
-                warnings.add(`دبیر با کد پرسنلی ${teacherId} یافت نشد. درس "${lessonName}" برای کلاس "${className}" وارد نشد.`);
-                return;
+    // --- 6. UI Rendering ---
+    // Markup each rendered node was last built from, so a redraw can tell which parts actually changed.
+    const renderedMarkup = new WeakMap();
+
+    // Replaces the content of `element` only when its markup differs from the last render.
+    const setMarkup = (element, html) => {
+        if (renderedMarkup.get(element) === html) return;
+        element.innerHTML = html;
+        renderedMarkup.set(element, html);
+    };
+
+    /**
+     * Brings the children of `container` in line with `items` ({ key, html }), matched by `keyAttribute`.
+     * Children whose markup is unchanged are kept as they are, so a drop only rebuilds the rows and entries it touched
+     * and the rest keep their scroll position, focus and open state.
+     */
+    const patchChildren = (container, items, keyAttribute = 'data-id') => {
+        const existing = new Map();
+        [...container.children].forEach(node => {
+            if (renderedMarkup.has(node)) existing.set(node.getAttribute(keyAttribute), node);
+        });
+        const template = document.createElement(container.tagName === 'TBODY' ? 'tbody' : 'div');
+        let cursor = container.firstElementChild;
+        items.forEach(({ key, html }) => {
+            let node = existing.get(key);
+            if (!node || renderedMarkup.get(node) !== html) {
+                template.innerHTML = html;
+                const fresh = template.firstElementChild;
+                renderedMarkup.set(fresh, html);
+                if (node === cursor) cursor = cursor.nextElementSibling;
+                node?.remove();
+                node = fresh;
             }
-
-            let classData = state.classes.find(c => c.name === className);
-            if (!classData) {
-                classData = { id: `c${Date.now()}${Math.random()}`, name: className, field: field };
-                state.classes.push(classData);
-                if (!state.schedule.A[classData.id]) state.schedule.A[classData.id] = {};
-                if (!state.schedule.B[classData.id]) state.schedule.B[classData.id] = {};
-                newClasses++;
-            } else if (field && !classData.field) {
-                classData.field = field;
+            existing.delete(key);
+            if (node === cursor) cursor = cursor.nextElementSibling;
+            else container.insertBefore(node, cursor);
+        });
+        while (cursor) {
+            const next = cursor.nextElementSibling;
+            cursor.remove();
+            cursor = next;
+        }
+    };
+
+    // Class rows of the full view the next redraw has to rebuild; null rebuilds every row.
+    let staleClassRows = null;
+
+    const markRowsStale = (classIds) => {
+        staleClassRows = staleClassRows || new Set();
+        classIds.forEach(classId => staleClassRows.add(classId));
+    };
+
+    /**
+     * Limits the next redraw to the rows a placement change of `lesson` at `startKeys` can show up in: the lesson's own rows
+     * and every row with a lesson of the same teacher, or with a room while this lesson has one, in the periods it covers.
+     * Conflict marks and room assignments of those cells follow from the change; the other rows keep their markup.
+     */
+    const markPlacementRowsStale = (lesson, startKeys) => {
+        const weekSchedule = state.schedule[state.activeWeek] || {};
+        const usesRoom = (l) => Boolean(l?.roomId || l?.roomType);
+        const affected = new Set(getLessonClassIds(lesson));
+        startKeys.filter(Boolean).forEach(startKey => {
+            const [day, periodStr] = startKey.split('_');
+            for (let i = 0; i < lesson.periods; i++) {
+                const key = `${day}_${parseInt(periodStr) + i}`;
+                Object.entries(weekSchedule).forEach(([classId, classSchedule]) => {
+                    const shares = (classSchedule[key] || []).some(entry => {
+                        const other = getLessonById(entry.lessonId);
+                        return other?.teacherId === lesson.teacherId || (usesRoom(lesson) && usesRoom(other));
+                    });
+                    if (shares) affected.add(classId);
+                });
             }
-
-            state.lessons.push({
-                id: `l${Date.now()}${Math.random()}${index}`,
-                name: lessonName,
-                teacherId: teacherId,
-                classId: classData.id,
-                roomId: null,
-                periods: !isNaN(periods) && periods > 0 ? periods : 1
-            });
-            newLessons++;
         });
+        markRowsStale(affected);
+    };
 
-        if (warnings.size > 0) {
-            showToast(`چندین هشدار:\n${Array.from(warnings).join('\n')}`, 'warning', 8000);
-        }
-
-        assignAllColors();
-        showToast(`${toPersianNumber(newClasses)} کلاس و ${toPersianNumber(newLessons)} درس جدید با موفقیت اضافه شدند.`, 'success');
+    // The rows holding a lesson that `highlight` ({ type, id }) picks out.
+    const markHighlightRowsStale = (highlight) => {
+        const weekSchedule = state.schedule[state.activeWeek] || {};
+        markRowsStale(Object.keys(weekSchedule).filter(classId => Object.values(weekSchedule[classId]).some(slot => slot.some(entry => {
+            const lesson = getLessonById(entry.lessonId);
+            return lesson && isLessonHighlighted(lesson, entry, [highlight]);
+        }))));
     };
 
-    // --- 6. UI Rendering ---
     const renderAll = () => {
         try {
             renderUnplacedLessonsList();
-            populateTeacherDropdown();
+            populateViewSelectors();
             renderTeacherLoad();
             refreshCurrentView();
             runValidation();
         } catch (error) {
             console.error("Full render failed:", error);
-            const viewContainer = getEl(state.activeView === 'full' ? 'full-school-view' : 'teacher-view');
+            const viewContainer = getViewElement(state.activeView);
             if (viewContainer) {
                 viewContainer.innerHTML = `<div class="empty-state"><h3>خطا در نمایش برنامه</h3><p>یک خطای غیرمنتظره در رندر کردن اطلاعات رخ داد.</p><p style="font-size: 0.8rem; color: #e74c3c;">${error.message}</p></div>`;
             }
@@ -344,19 +645,14 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!DOMElements.lessonsListEl) return;
         const searchTerm = getEl('lesson-search').value.toLowerCase();
 
-        const scheduledLessonIds = new Set(
-            Object.values(state.schedule.A).flatMap(Object.values).flatMap(slot => slot.map(l => l.lessonId))
-            .concat(Object.values(state.schedule.B).flatMap(Object.values).flatMap(slot => slot.map(l => l.lessonId)))
-        );
-
-        const lessonsToShow = state.lessons.filter(lesson => !scheduledLessonIds.has(lesson.id));
+        const placedCounts = getPlacedCountsByWeek();
+        const lessonsToShow = state.lessons.filter(lesson => getRemainingSessions(lesson, state.activeWeek, placedCounts) > 0);
 
         const filteredLessons = lessonsToShow.filter(lesson => {
-            const teacher = state.teachers.find(t => t.id === lesson.teacherId);
-            const lessonClass = state.classes.find(c => c.id === lesson.classId);
+            const teacher = getTeacherById(lesson.teacherId);
             return (cleanName(lesson.name).toLowerCase().includes(searchTerm) ||
                 (teacher && teacher.name.toLowerCase().includes(searchTerm)) ||
-                (lessonClass && cleanName(lessonClass.name).toLowerCase().includes(searchTerm)));
+                getLessonClassNames(lesson).toLowerCase().includes(searchTerm));
         });
 
         renderList(DOMElements.lessonsListEl, filteredLessons.sort((a, b) => a.name.localeCompare(b.name)), 'lesson');
@@ -364,114 +660,116 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const renderList = (element, items, type) => {
         if (!element) return;
-        element.innerHTML = '';
         if (items.length === 0 && type !== 'lesson') { // Keep drop target for lessons
             element.innerHTML = `<p class="empty-list-text">موردی برای نمایش وجود ندارد.</p>`;
             return;
         }
-        items.forEach(item => {
-            const el = document.createElement('div');
-            el.className = 'list-item';
-            el.dataset.id = item.id;
-            el.dataset.type = type;
-
-            if (type === 'lesson') {
-                el.classList.add('draggable');
-                el.draggable = true;
-                el.style.borderRightColor = state.lessonColors[item.id] || '#ccc';
-            }
-
-            const teacher = type === 'lesson' ? state.teachers.find(t => t.id === item.teacherId) : null;
-            const lessonClass = type === 'lesson' ? state.classes.find(c => c.id === item.classId) : null;
-            const periodsText = (item.periods > 1) ? ` (${toPersianNumber(item.periods)} زنگ)` : '';
-
-            el.innerHTML = `
+        const placedCounts = type === 'lesson' ? getPlacedCountsByWeek() : null;
+        patchChildren(element, items.map(item => ({ key: item.id, html: createListItemHTML(item, type, placedCounts) })));
+    };
+
+    const createListItemHTML = (item, type, placedCounts) => {
+        const teacher = type === 'lesson' ? getTeacherById(item.teacherId) : null;
+        const lessonClassNames = type === 'lesson' ? getLessonClassNames(item) : '';
+        const sessions = type === 'lesson' ? getLessonSessions(item) : 1;
+        const periodsText = sessions > 1
+            ? ` (${toPersianNumber(sessions)} جلسه × ${toPersianNumber(item.periods)} زنگ)`
+            : (item.periods > 1) ? ` (${toPersianNumber(item.periods)} زنگ)` : '';
+        const remaining = sessions > 1 ? getRemainingSessions(item, state.activeWeek, placedCounts) : 0;
+        const weekPattern = type === 'lesson' ? getLessonWeekPattern(item) : 'every';
+        const dragAttributes = type === 'lesson'
+            ? ` draggable="true" style="border-right-color: ${state.lessonColors[item.id] || '#ccc'}" tabindex="0" role="button" aria-describedby="keyboard-help"` +
+              ` aria-label="${cleanName(item.name)}، ${lessonClassNames}، دبیر ${teacher?.name || 'بی‌نام'}"`
+            : '';
+
+        return `<div class="list-item${type === 'lesson' ? ' draggable' : ''}" data-id="${item.id}" data-type="${type}"${dragAttributes}>
                 <div>
                     <div class="item-name">${cleanName(item.name)}${periodsText}</div>
-                    ${lessonClass ? `<div class="class-name-sidebar">${cleanName(lessonClass.name)}</div>` : ''}
+                    ${remaining > 0 ? `<div class="sessions-remaining">${toPersianNumber(remaining)} از ${toPersianNumber(sessions)} جلسه باقی‌مانده</div>` : ''}
+                    ${weekPattern !== 'every' ? `<div class="week-pattern-sidebar"><i class="fas fa-calendar-week"></i> ${WEEK_PATTERN_TEXT[weekPattern]}</div>` : ''}
+                    ${lessonClassNames ? `<div class="class-name-sidebar">${item.jointClassIds?.length ? '<i class="fas fa-link" title="درس مشترک"></i> ' : ''}${lessonClassNames}</div>` : ''}
                     ${teacher ? `<div class="teacher-name">${teacher.name}</div>` : ''}
+                    ${type === 'room' && (item.type || item.capacity) ? `<div class="room-name">${[item.type, item.capacity ? `ظرفیت ${toPersianNumber(item.capacity)}` : ''].filter(Boolean).join(' - ')}</div>` : ''}
+                    ${type === 'teacher' && item.requiredHours ? `<div class="room-name">موظفی ${toPersianNumber(item.requiredHours)} ساعت${item.hourMultiplier ? ` - ضریب ${toPersianNumber(item.hourMultiplier)}` : ''}</div>` : ''}
+                    ${type === 'teacher' && item.subjects?.length ? `<div class="room-name"><i class="fas fa-book"></i> ${item.subjects.join('، ')}</div>` : ''}
+                    ${type === 'class' && item.students ? `<div class="room-name">${toPersianNumber(item.students)} دانش‌آموز</div>` : ''}
                 </div>
                 <div class="item-controls">
+                    ${type === 'teacher' ? '<button class="reassign-btn" title="انتقال دروس به دبیر دیگر"><i class="fas fa-right-left"></i></button>' : ''}
                     <button class="edit-btn" title="ویرایش"><i class="fas fa-edit"></i></button>
                     <button class="delete-btn" title="حذف"><i class="fas fa-trash"></i></button>
-                </div>`;
-            element.appendChild(el);
-        });
+                </div>
+            </div>`;
     };
 
-    const renderTeacherLoad = () => {
-        if (!DOMElements.teacherLoadListEl) return;
-        DOMElements.teacherLoadListEl.innerHTML = '';
-        const load = {};
-        const HOUR_MULTIPLIER = 2;
-
-        state.teachers.forEach(teacher => {
-            load[teacher.id] = { name: teacher.name, placed: 0, total: 0 };
-        });
-
-        state.lessons.forEach(lesson => {
-            if (load[lesson.teacherId]) {
-                load[lesson.teacherId].total += (lesson.periods * HOUR_MULTIPLIER);
-            }
-        });
+    const formatHours = (hours) => toPersianNumber(Math.round(hours * 10) / 10);
 
-        // New calculation logic based on placement
-        Object.entries(state.schedule[state.activeWeek]).forEach(([classId, classSchedule]) => {
-            Object.entries(classSchedule).forEach(([key, slot]) => {
-                slot.forEach(entry => {
-                    if (entry.isStart) {
-                        const lesson = state.lessons.find(l => l.id === entry.lessonId);
-                        if (lesson && lesson.teacherId && load[lesson.teacherId]) {
-                            const [day, periodStr] = key.split('_');
-                            const startPeriod = parseInt(periodStr);
-
-                            // Check if this lesson starts in a merged cell
-                            const mergeInfo = state.merges[state.activeWeek].find(m =>
-                                m.classId === classId &&
-                                m.day === day &&
-                                m.startPeriod === startPeriod
-                            );
-
-                            // If it's in a merged cell, the duration is the cell's size. Otherwise, it's the lesson's own duration.
-                            const occupiedPeriods = mergeInfo ? mergeInfo.count : lesson.periods;
-                            load[lesson.teacherId].placed += (occupiedPeriods * HOUR_MULTIPLIER);
-                        }
-                    }
-                });
-            });
-        });
+    const LOAD_STATUS_TEXT = {
+        deficit: 'کسری موظفی',
+        balanced: 'موظفی کامل',
+        overtime: 'اضافه‌کار',
+        none: 'موظفی تعریف نشده',
+    };
 
-        const sortedTeachers = Object.values(load).sort((a, b) => a.name.localeCompare(b.name));
-        if (sortedTeachers.length === 0) {
+    const renderTeacherLoad = () => {
+        if (!DOMElements.teacherLoadListEl) return;
+        const loads = computeTeacherLoads();
+        if (loads.length === 0) {
             DOMElements.teacherLoadListEl.innerHTML = `<p class="empty-list-text">دبیری تعریف نشده است.</p>`;
             return;
         }
-        sortedTeachers.forEach(t => {
-            const item = document.createElement('div');
-            item.className = 'teacher-load-item';
-            const placedText = toPersianNumber(t.placed);
-            const totalText = toPersianNumber(t.total);
-            item.innerHTML = `<span>${t.name}</span>
-                              <span>
-                                ${placedText} <span class="total-load">/ ${totalText}</span>
-                              </span>`;
-            DOMElements.teacherLoadListEl.appendChild(item);
-        });
+        patchChildren(DOMElements.teacherLoadListEl, loads.map(load => ({ key: load.teacher.id, html: createTeacherLoadItemHTML(load) })));
+    };
+
+    const createTeacherLoadItemHTML = (load) => {
+        const title = `هفته الف: ${formatHours(load.placed.A)} ساعت، هفته ب: ${formatHours(load.placed.B)} ساعت، میانگین: ${formatHours(load.average)} ساعت` +
+            (load.required ? `، موظفی: ${formatHours(load.required)} ساعت` : '');
+        const balanceText = {
+            deficit: `کسری ${formatHours(-load.balance)} ساعت`,
+            overtime: `اضافه‌کار ${formatHours(load.balance)} ساعت`,
+            balanced: LOAD_STATUS_TEXT.balanced,
+        }[load.status];
+        const fillPercent = load.required ? Math.min(load.average / load.required, 1) * 100 : 0;
+        return `<div class="teacher-load-item load-${load.status}" data-id="${load.teacher.id}" title="${title}">
+                  <div class="teacher-load-row">
+                    <span>${load.teacher.name}</span>
+                    <span>
+                      ${formatHours(load.placed[state.activeWeek])} <span class="total-load">/ ${formatHours(load.planned[state.activeWeek])}</span>
+                    </span>
+                  </div>
+                  ${load.required ? `<div class="load-bar"><span style="width: ${fillPercent}%"></span></div>
+                  <div class="load-balance">${balanceText} <span class="total-load">(موظفی ${formatHours(load.required)})</span></div>` : ''}
+                </div>`;
     };
 
-    const populateTeacherDropdown = () => {
-        const currentVal = DOMElements.teacherSelector.value;
-        DOMElements.teacherSelector.innerHTML = '';
-        state.teachers.sort((a, b) => a.name.localeCompare(b.name)).forEach(t => {
-            const option = document.createElement('option');
-            option.value = t.id;
-            option.textContent = t.name;
-            DOMElements.teacherSelector.appendChild(option);
+    // The selectors only change when an entity is added, renamed or removed.
+    const populateViewSelectors = () => {
+        Object.entries(ENTITY_VIEWS).forEach(([type, config]) => {
+            const selector = DOMElements[`${type}Selector`];
+            const items = state[config.arrayName];
+            const currentVal = selector.value;
+            items.sort((a, b) => a.name.localeCompare(b.name));
+            setMarkup(selector, items.map(item => `<option value="${item.id}">${cleanName(item.name)}</option>`).join(''));
+            selector.value = items.find(i => i.id === currentVal) ? currentVal : (items[0]?.id || '');
         });
-        DOMElements.teacherSelector.value = state.teachers.find(t => t.id === currentVal) ? currentVal : (state.teachers[0]?.id || '');
     };
 
-    const renderFullSchedule = () => {
+    /**
+     * Puts `headHTML` and one `<tbody>` row per item into `container`. The table is only rebuilt when its head changes
+     * (days, periods or bell times); otherwise just the rows whose markup changed are replaced.
+     */
+    const renderScheduleTable = (container, headHTML, rows, keyAttribute) => {
+        let table = container.querySelector('.schedule-table');
+        if (!table || renderedMarkup.get(table) !== headHTML) {
+            container.innerHTML = headHTML;
+            table = container.querySelector('.schedule-table');
+            renderedMarkup.set(table, headHTML);
+        }
+        patchChildren(table.tBodies[0], rows, keyAttribute);
+    };
+
+    // `staleRows` (a Set of class IDs) limits the redraw to those rows when the days, periods and bell times are unchanged.
+    const renderFullSchedule = (staleRows = null) => {
         const container = DOMElements.fullSchoolViewEl;
         if (state.classes.length === 0) {
             container.innerHTML = `<div class="empty-state"><h3>به سامانه برنامه‌ریزی خوش آمدید!</h3><p>برای شروع، از بخش تنظیمات، داده‌های اولیه (دبیران و دروس) را وارد کنید.</p><button class="panel-btn" id="go-to-settings-btn"><i class="fas fa-cog"></i> رفتن به تنظیمات</button></div>`;
@@ -479,131 +777,209 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         const days = getActiveDays();
-        const periods = 4;
         const sortedClasses = state.classes.sort((a, b) => a.name.localeCompare(b.name));
-        let tableHTML = `<div class="schedule-container" id="schedule-to-export"><table class="schedule-table">`;
+        let headHTML = `<div class="schedule-container" id="schedule-to-export"><table class="schedule-table" role="grid" aria-label="برنامه کلی مدرسه" aria-describedby="keyboard-help">`;
 
-        tableHTML += `<thead><tr><th class="class-header sticky-col">کلاس</th>${days.map(day => `<th class="day-header" colspan="${periods}">${day}</th>`).join('')}</tr><tr><th class="class-header sticky-col"></th>`;
+        headHTML += `<thead><tr><th class="class-header sticky-col">کلاس</th>${days.map(day => `<th class="day-header" colspan="${getDayPeriods(day)}">${day}</th>`).join('')}</tr><tr><th class="class-header sticky-col"></th>`;
         days.forEach((day, dayIndex) => {
+            const periods = getDayPeriods(day);
             for (let i = 1; i <= periods; i++) {
                 const separatorClass = (i === periods && dayIndex < days.length - 1) ? 'day-separator' : '';
-                tableHTML += `<th class="period-header ${separatorClass}">${toPersianNumber(i)}</th>`;
+                headHTML += `<th class="period-header ${separatorClass}">${toPersianNumber(i)}<span class="period-time">${formatBellTime(getBellTime(day, i))}</span></th>`;
             }
         });
-        tableHTML += '</tr></thead><tbody>';
+        headHTML += '</tr></thead><tbody></tbody></table></div>';
+
+        // Rows that are not stale keep the markup they were last built from, so their cells aren't checked for conflicts again.
+        const table = container.querySelector('.schedule-table');
+        const keptRows = new Map();
+        if (staleRows && table && renderedMarkup.get(table) === headHTML) {
+            [...table.tBodies[0].rows].forEach(row => {
+                if (!staleRows.has(row.dataset.classId) && renderedMarkup.has(row)) keptRows.set(row.dataset.classId, renderedMarkup.get(row));
+            });
+        }
+        const rows = sortedClasses.map(c => ({ key: c.id, html: keptRows.get(c.id) ?? createClassRowHTML(c, days) }));
 
-        sortedClasses.forEach(c => {
-            const fieldColor = state.fieldColors[c.field] || '#ffffff';
-            const fieldColorRgb = hexToRgb(fieldColor);
-            const rgbString = fieldColorRgb ? `${fieldColorRgb.r}, ${fieldColorRgb.g}, ${fieldColorRgb.b}` : '255, 255, 255';
+        // Re-rendered rows replace their cells, so a focused cell is focused again in its new row.
+        const hadFocus = container.contains(document.activeElement);
+        renderScheduleTable(container, headHTML, rows, 'data-class-id');
+        syncGridTabStop();
+        if (hadFocus && !container.contains(document.activeElement)) getActiveZone()?.focus();
+    };
 
-            tableHTML += `<tr style="--field-color-rgb: ${rgbString};"><th class="class-header sticky-col"><div>${cleanName(c.name)}</div></th>`;
+    const createClassRowHTML = (c, days) => {
+        const fieldColor = state.fieldColors[c.field] || '#ffffff';
+        const fieldColorRgb = hexToRgb(fieldColor);
+        const rgbString = fieldColorRgb ? `${fieldColorRgb.r}, ${fieldColorRgb.g}, ${fieldColorRgb.b}` : '255, 255, 255';
 
-            const renderedPeriods = new Set();
-            days.forEach((day, dayIndex) => {
-                for (let period = 1; period <= periods; period++) {
-                    if (renderedPeriods.has(`${day}_${period}`)) continue;
+        let rowHTML = `<tr data-class-id="${c.id}" style="--field-color-rgb: ${rgbString};"><th class="class-header sticky-col"><div>${cleanName(c.name)}</div></th>`;
 
-                    const key = `${day}_${period}`;
-                    const mergeInfo = state.merges[state.activeWeek]?.find(m => m.classId === c.id && m.day === day && m.startPeriod === period);
-                    const slotContent = state.schedule[state.activeWeek]?.[c.id]?.[key];
-
-                    let colspan = 1;
-                    if (mergeInfo) {
-                        colspan = mergeInfo.count;
-                    } else if (slotContent && slotContent.length > 0) {
-                        // Find the lesson that starts here to determine colspan
-                        const startEntry = slotContent.find(entry => entry.isStart);
-                        if (startEntry) {
-                            const firstLesson = state.lessons.find(l => l.id === startEntry.lessonId);
-                            if (firstLesson) {
-                                colspan = firstLesson.periods;
-                            }
+        const renderedPeriods = new Set();
+        days.forEach((day, dayIndex) => {
+            const periods = getDayPeriods(day);
+            for (let period = 1; period <= periods; period++) {
+                if (renderedPeriods.has(`${day}_${period}`)) continue;
+
+                const key = `${day}_${period}`;
+                const mergeInfo = state.merges[state.activeWeek]?.find(m => m.classId === c.id && m.day === day && m.startPeriod === period);
+                const slotContent = state.schedule[state.activeWeek]?.[c.id]?.[key];
+
+                let colspan = 1;
+                if (mergeInfo) {
+                    colspan = mergeInfo.count;
+                } else if (slotContent && slotContent.length > 0) {
+                    // Find the lesson that starts here to determine colspan
+                    const startEntry = slotContent.find(entry => entry.isStart);
+                    if (startEntry) {
+                        const firstLesson = getLessonById(startEntry.lessonId);
+                        if (firstLesson) {
+                            colspan = firstLesson.periods;
                         }
                     }
+                }
 
-                    const separatorClass = (period + colspan - 1 === periods && dayIndex < days.length - 1) ? 'day-separator' : '';
+                const separatorClass = (period + colspan - 1 === periods && dayIndex < days.length - 1) ? 'day-separator' : '';
 
-                    let innerHTML = '';
-                    if (slotContent && slotContent.length > 0) {
-                        innerHTML = '<div class="shared-slot-container">';
-                        slotContent.forEach(entry => {
-                            if (entry.isStart) { // Only render the cell for the starting period of a lesson
-                                innerHTML += createLessonCellHTML(entry.lessonId, day, period, c.id);
-                            }
-                        });
-                        innerHTML += '</div>';
-                    }
+                let innerHTML = '';
+                if (slotContent && slotContent.length > 0) {
+                    innerHTML = '<div class="shared-slot-container">';
+                    slotContent.forEach(entry => {
+                        if (entry.isStart) { // Only render the cell for the starting period of a lesson
+                            innerHTML += createLessonCellHTML(entry.lessonId, day, period, c.id, entry);
+                        }
+                    });
+                    innerHTML += '</div>';
+                }
 
-                    tableHTML += createDropZoneHTML(c.id, day, period, colspan, separatorClass, innerHTML);
+                rowHTML += createDropZoneHTML(c.id, day, period, colspan, separatorClass, innerHTML);
 
-                    for (let i = 1; i < colspan; i++) {
-                        renderedPeriods.add(`${day}_${period + i}`);
-                    }
+                for (let i = 1; i < colspan; i++) {
+                    renderedPeriods.add(`${day}_${period + i}`);
                 }
-            });
-            tableHTML += `</tr>`;
+            }
         });
-        tableHTML += '</tbody></table></div>';
-        container.innerHTML = tableHTML;
-    };
-
-    const renderTeacherSchedule = (teacherId) => {
-        const container = DOMElements.teacherViewEl;
-        if (!teacherId) {
-            container.innerHTML = `<div class="schedule-container empty-state"><p>دبیری انتخاب نشده است.</p></div>`;
+        return rowHTML + '</tr>';
+    };
+
+    // Day-by-period views of a single teacher, class or room; all share the same grid layout.
+    const ENTITY_VIEWS = {
+        teacher: {
+            arrayName: 'teachers',
+            title: 'برنامه هفتگی دبیر',
+            emptyText: 'دبیری انتخاب نشده است.',
+            matches: (lesson, classId, id) => lesson.teacherId === id,
+            detail: (lesson) => getLessonClassNames(lesson),
+        },
+        class: {
+            arrayName: 'classes',
+            title: 'برنامه هفتگی کلاس',
+            emptyText: 'کلاسی انتخاب نشده است.',
+            matches: (lesson, classId, id) => classId === id,
+            detail: (lesson) => getTeacherById(lesson.teacherId)?.name || 'بی‌نام',
+        },
+        room: {
+            arrayName: 'rooms',
+            title: 'برنامه هفتگی اتاق',
+            emptyText: 'اتاقی انتخاب نشده است.',
+            matches: (lesson, classId, id, entry) => getEntryRoomId(lesson, entry) === id,
+            detail: (lesson) => `${getLessonClassNames(lesson)} - ${getTeacherById(lesson.teacherId)?.name || 'بی‌نام'}`,
+        },
+    };
+
+    const getViewElement = (viewName) => getEl(viewName === 'full' ? 'full-school-view' : `${viewName}-view`);
+
+    const isLessonHighlighted = (lesson, entry = null, highlights = state.activeHighlights) => highlights.some(h =>
+        (h.type === 'teacher' && lesson.teacherId === h.id) ||
+        (h.type === 'class' && getLessonClassIds(lesson).includes(h.id)) ||
+        (h.type === 'room' && getEntryRoomId(lesson, entry) === h.id)
+    );
+
+    const renderEntitySchedule = (type, entityId) => {
+        const config = ENTITY_VIEWS[type];
+        const container = getViewElement(type);
+        const entity = state[config.arrayName].find(item => item.id === entityId);
+        if (!entity) {
+            container.innerHTML = `<div class="schedule-container empty-state"><p>${config.emptyText}</p></div>`;
             return;
         }
-        const teacher = state.teachers.find(t => t.id === teacherId);
         const days = getActiveDays();
-        const periods = 4;
+        const periods = getMaxPeriods();
 
-        let tableHTML = `<div class="schedule-container" id="schedule-to-export"><h3 class="view-title">برنامه هفتگی دبیر: ${teacher.name}</h3><table class="schedule-table"><thead><tr><th>زنگ / روز</th>${days.map(day => `<th>${day}</th>`).join('')}</tr></thead><tbody>`;
+        const headHTML = `<div class="schedule-container" id="schedule-to-export"><h3 class="view-title">${config.title}: ${cleanName(entity.name)}</h3><table class="schedule-table"><thead><tr><th>زنگ / روز</th>${days.map(day => `<th>${day}</th>`).join('')}</tr></thead><tbody></tbody></table></div>`;
 
+        const rows = [];
         for (let period = 1; period <= periods; period++) {
-            tableHTML += `<tr><td class="period-label">زنگ ${toPersianNumber(period)}</td>`;
+            // Show the time in the row label when every day rings at the same time, otherwise inside each cell.
+            const rowTimes = new Set(days.filter(day => period <= getDayPeriods(day)).map(day => formatBellTime(getBellTime(day, period))));
+            const sharedTime = rowTimes.size === 1 ? [...rowTimes][0] : '';
+            let rowHTML = `<tr data-period="${period}"><td class="period-label">زنگ ${toPersianNumber(period)}${sharedTime ? `<span class="period-time">${sharedTime}</span>` : ''}</td>`;
             days.forEach(day => {
+                if (period > getDayPeriods(day)) {
+                    rowHTML += `<td class="no-period"></td>`;
+                    return;
+                }
                 const key = `${day}_${period}`;
                 let cellContent = '';
+                const shownLessonIds = new Set();
                 for (const classId in state.schedule[state.activeWeek]) {
                     const slot = state.schedule[state.activeWeek][classId][key];
                     if (slot) {
                         slot.forEach(entry => {
-                            const lesson = state.lessons.find(l => l.id === entry.lessonId);
-                            if (lesson && lesson.teacherId === teacherId) {
-                                const className = state.classes.find(c => c.id === classId)?.name || '';
-                                cellContent += `<div class="lesson-in-table" style="background-color:${state.lessonColors[lesson.id]}"><span class="lesson-name-cell">${cleanName(lesson.name)}</span><span class="teacher-name-cell">${cleanName(className)}</span></div>`;
+                            const lesson = getLessonById(entry.lessonId);
+                            if (lesson && !shownLessonIds.has(lesson.id) && config.matches(lesson, classId, entityId, entry)) {
+                                shownLessonIds.add(lesson.id);
+                                const roomName = getRoomById(getEntryRoomId(lesson, entry))?.name;
+                                cellContent += `<div class="lesson-in-table ${isLessonHighlighted(lesson, entry) ? 'highlighted-lesson' : ''}" style="background-color:${state.lessonColors[lesson.id]}"><span class="lesson-name-cell">${cleanName(lesson.name)}</span><span class="teacher-name-cell">${config.detail(lesson, classId, entry)}</span>${type !== 'room' && roomName ? `<span class="room-name-cell">${roomName}</span>` : ''}</div>`;
                             }
                         });
                     }
                 }
-                tableHTML += `<td><div class="shared-slot-container">${cellContent}</div></td>`;
+                const cellTime = sharedTime ? '' : `<span class="period-time">${formatBellTime(getBellTime(day, period))}</span>`;
+                rowHTML += `<td>${cellTime}<div class="shared-slot-container">${cellContent}</div></td>`;
             });
-            tableHTML += '</tr>';
+            rows.push({ key: String(period), html: rowHTML + '</tr>' });
         }
-        tableHTML += '</tbody></table></div>';
-        container.innerHTML = tableHTML;
+        renderScheduleTable(container, headHTML, rows, 'data-period');
     };
 
     const createDropZoneHTML = (classId, day, period, colspan = 1, separatorClass = '', innerHTML = '') => {
         const isLocked = isSlotLocked({ classId, day, period: parseInt(period) });
         const key = `${day}_${period}`;
-        return `<td class="drop-zone ${isLocked ? 'locked-slot' : ''} ${separatorClass}" data-day="${day}" data-period="${period}" data-class-id="${classId}" data-key="${key}" colspan="${colspan}">${innerHTML}</td>`;
-    };
-
-    const createLessonCellHTML = (lessonId, day, period, classId) => {
-        const lesson = state.lessons.find(l => l.id === lessonId);
+        return `<td class="drop-zone ${isLocked ? 'locked-slot' : ''} ${separatorClass}" data-day="${day}" data-period="${period}" data-class-id="${classId}" data-key="${key}" colspan="${colspan}" tabindex="-1" aria-label="${getCellLabel(classId, day, parseInt(period), colspan, isLocked)}">${innerHTML}</td>`;
+    };
+
+    // What a screen reader reads for one grid cell: class, day and periods, then each lesson with its teacher.
+    const getCellLabel = (classId, day, period, colspan, isLocked) => {
+        const periodText = colspan > 1 ? `زنگ ${toPersianNumber(period)} تا ${toPersianNumber(period + colspan - 1)}` : `زنگ ${toPersianNumber(period)}`;
+        const lessonTexts = (state.schedule[state.activeWeek]?.[classId]?.[`${day}_${period}`] || []).filter(entry => entry.isStart).map(entry => {
+            const lesson = getLessonById(entry.lessonId);
+            if (!lesson) return '';
+            const parts = [cleanName(lesson.name), `دبیر ${getTeacherById(lesson.teacherId)?.name || 'بی‌نام'}`];
+            if (checkForConflict(lesson, day, period, classId)) parts.push('دارای تداخل');
+            if (entry.pinned) parts.push('سنجاق‌شده');
+            return parts.join('، ');
+        }).filter(Boolean);
+        const contentText = [...lessonTexts, ...(isLocked ? ['قفل'] : [])].join('؛ ') || 'خالی';
+        return `کلاس ${cleanName(getClassById(classId)?.name || '')}، ${day}، ${periodText}: ${contentText}`;
+    };
+
+    const createLessonCellHTML = (lessonId, day, period, classId, entry = null) => {
+        const lesson = getLessonById(lessonId);
         if (!lesson) return '';
-        const teacher = state.teachers.find(t => t.id === lesson.teacherId);
+        const teacher = getTeacherById(lesson.teacherId);
         const conflictDetails = checkForConflict(lesson, day, parseInt(period), classId);
 
-        const isHighlighted = state.activeHighlights.some(h =>
-            (h.type === 'teacher' && lesson.teacherId === h.id) ||
-            (h.type === 'class' && lesson.classId === h.id) ||
-            (h.type === 'room' && lesson.roomId === h.id)
-        );
+        const isHighlighted = isLessonHighlighted(lesson, entry);
+        const room = getRoomById(getEntryRoomId(lesson, entry));
+        const pinHTML = `<button class="pin-btn ${entry?.pinned ? 'pinned' : ''}" tabindex="-1" title="${entry?.pinned ? 'برداشتن سنجاق' : 'سنجاق کردن (چیدمان خودکار و پاک کردن جدول آن را جابجا نمی‌کنند)'}"><i class="fas fa-thumbtack"></i></button>`;
+        const jointHTML = lesson.jointClassIds?.length
+            ? `<span class="joint-lesson-cell" title="درس مشترک: ${getLessonClassNames(lesson)}"><i class="fas fa-link"></i></span>`
+            : '';
+        const roomHTML = room
+            ? `<span class="room-name-cell">${room.name}</span>`
+            : lesson.roomType ? `<span class="room-name-cell room-shortage" title="اتاق آزادی از نوع ${lesson.roomType} یافت نشد"><i class="fas fa-exclamation-circle"></i> ${lesson.roomType}</span>` : '';
 
-        return `<div class="lesson-in-table ${conflictDetails ? 'conflict' : ''} ${isHighlighted ? 'highlighted-lesson' : ''}" draggable="true" data-lesson-id="${lesson.id}" data-conflict='${conflictDetails ? JSON.stringify(conflictDetails) : ''}' style="background-color: ${state.lessonColors[lesson.id]}"><span class="lesson-name-cell">${cleanName(lesson.name)}</span><span class="teacher-name-cell">${teacher ? teacher.name : 'بی‌نام'}</span></div>`;
+        return `<div class="lesson-in-table ${conflictDetails ? 'conflict' : ''} ${isHighlighted ? 'highlighted-lesson' : ''} ${entry?.pinned ? 'pinned-lesson' : ''}" draggable="true" data-lesson-id="${lesson.id}" data-conflict='${conflictDetails ? JSON.stringify(conflictDetails) : ''}' style="background-color: ${state.lessonColors[lesson.id]}">${pinHTML}<span class="lesson-name-cell">${jointHTML}${cleanName(lesson.name)}</span><span class="teacher-name-cell">${teacher ? teacher.name : 'بی‌نام'}</span>${roomHTML}</div>`;
     };
 
     // --- 7. Event Handling ---
@@ -615,6 +991,33 @@ document.addEventListener('DOMContentLoaded', () => {
         getEl('import-teachers-input').addEventListener('change', (e) => { processExcelData(e.target.files[0], importTeachers); e.target.value = null; });
         getEl('import-lessons-input').addEventListener('change', (e) => { processExcelData(e.target.files[0], importLessonsAndClasses); e.target.value = null; });
         getEl('restore-input').addEventListener('change', handleRestore);
+        getEl('project-selector').addEventListener('change', (e) => switchProject(e.target.value));
+        getEl('compare-file-input').addEventListener('change', handleCompareFile);
+        getEl('absence-sessions').addEventListener('change', (e) => {
+            if (e.target.classList.contains('substitute-select')) assignSubstitute(e.target);
+        });
+        getEl('substitution-history-teacher').addEventListener('change', renderSubstitutionHistory);
+        getEl('reassign-lessons-list').addEventListener('change', () => {
+            getEl('reassign-all-toggle').checked = getReassignLessonIds().length === getEl('reassign-lessons-list').querySelectorAll('input').length;
+            renderReassignTargets();
+        });
+        getEl('reassign-all-toggle').addEventListener('change', (e) => {
+            getEl('reassign-lessons-list').querySelectorAll('input').forEach(input => { input.checked = e.target.checked; });
+            renderReassignTargets();
+        });
+        getEl('reassign-target-select').addEventListener('change', renderReassignConflicts);
+        ['before', 'after'].forEach(side => getEl(`compare-${side}-source`).addEventListener('change', (e) => {
+            if (e.target.value !== 'file' || compareFiles[side]) return;
+            getEl('compare-file-input').dataset.side = side;
+            getEl('compare-file-input').click();
+        }));
+        getEl('projects-list').addEventListener('change', (e) => {
+            const input = e.target.closest('.project-name-input');
+            if (!input) return;
+            const name = input.value.trim();
+            if (name) renameProject(input.closest('.project-item').dataset.projectId, name);
+            else input.value = getProjectName(input.closest('.project-item').dataset.projectId);
+        });
         document.addEventListener('dragstart', handleDragStart);
         document.addEventListener('dragend', handleDragEnd);
         document.addEventListener('dragover', handleDragOver);
@@ -643,16 +1046,24 @@ document.addEventListener('DOMContentLoaded', () => {
             saveState();
             renderAll();
         });
-        DOMElements.teacherSelector.addEventListener('change', (e) => {
-            if (state.activeView === 'teacher') {
-                renderTeacherSchedule(e.target.value);
-            }
+        getEl('sync-weeks-toggle').addEventListener('change', (e) => {
+            state.settings.syncWeeks = e.target.checked;
+            saveState();
+        });
+        Object.keys(ENTITY_VIEWS).forEach(type => {
+            DOMElements[`${type}Selector`].addEventListener('change', (e) => {
+                if (state.activeView === type) {
+                    renderEntitySchedule(type, e.target.value);
+                }
+            });
         });
         DOMElements.zoomSlider.addEventListener('input', (e) => {
             document.documentElement.style.setProperty('--table-zoom', e.target.value);
         });
         getEl('constraint-type-select').addEventListener('change', renderConstraintItemSelect);
         getEl('constraint-item-select').addEventListener('change', renderConstraintsSchedule);
+        getEl('teacher-rules-editor').addEventListener('change', handleTeacherRuleChange);
+        getEl('bell-schedule-editor').addEventListener('change', handleBellScheduleChange);
         getEl('toggle-validation-panel').addEventListener('click', () => DOMElements.validationPanel.classList.toggle('open'));
         ['lesson-form', 'teacher-form', 'class-form', 'room-form'].forEach(formId => {
             const form = getEl(formId);
@@ -661,8 +1072,26 @@ document.addEventListener('DOMContentLoaded', () => {
         getEl('highlight-type-select').addEventListener('change', populateHighlightItemSelect);
         getEl('highlight-item-select').addEventListener('change', addHighlight);
         getEl('clear-highlights-btn').addEventListener('click', clearAllHighlights);
+        document.addEventListener('keydown', handleHistoryShortcut);
+        DOMElements.fullSchoolViewEl.addEventListener('keydown', handleGridKeydown);
+        DOMElements.fullSchoolViewEl.addEventListener('focusin', (e) => {
+            if (e.target.classList?.contains('drop-zone')) setActiveCell(e.target);
+        });
+        DOMElements.lessonsListEl.addEventListener('keydown', handleSidebarKeydown);
     }
 
+    const handleHistoryShortcut = (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.target.closest?.('input, textarea, select')) return;
+        // e.code keeps the shortcut working on a Persian keyboard layout.
+        if (e.code === 'KeyZ' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if (e.code === 'KeyY' || (e.code === 'KeyZ' && e.shiftKey)) {
+            e.preventDefault();
+            redo();
+        }
+    };
+
     const handleGlobalClick = async (e) => {
         const target = e.target;
 
@@ -672,13 +1101,30 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
+        if (target.closest('#export-load-report-btn')) {
+            exportLoadReport();
+            return;
+        }
+
         if (target.classList.contains('modal') || target.closest('.close-btn')) {
             const modal = target.closest('.modal');
             if (modal) modal.style.display = 'none';
+            if (modal?.id === 'auto-schedule-modal') {
+                cancelAutoSchedule();
+                pendingAutoSchedule = null;
+            }
+            return;
+        }
+
+        const pinBtn = target.closest('.pin-btn');
+        if (pinBtn) {
+            const lessonId = pinBtn.closest('.lesson-in-table').dataset.lessonId;
+            const { classId, key } = pinBtn.closest('.drop-zone').dataset;
+            togglePin(classId, lessonId, key);
             return;
         }
 
-        const tableCell = target.closest('.drop-zone, #constraints-schedule td:not(.period-label)');
+        const tableCell = target.closest('.drop-zone, #constraints-schedule td:not(.period-label):not(.no-period)');
         if (tableCell) {
             if (state.isMergeMode && tableCell.classList.contains('drop-zone')) {
                 handleMergeCellClick(tableCell);
@@ -694,17 +1140,28 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
+        const fixBtn = target.closest('.conflict-fix-btn');
+        if (fixBtn) {
+            await applyIssueFix(issueFixes[fixBtn.dataset.fixIndex]);
+            return;
+        }
+
+        const conflictItem = target.closest('.conflict-item[data-issue-index]');
+        if (conflictItem) {
+            toggleIssue(validationIssues[conflictItem.dataset.issueIndex]);
+            return;
+        }
+
+        const qualityItem = target.closest('.quality-item[data-focus]');
+        if (qualityItem) {
+            focusCells(JSON.parse(qualityItem.dataset.focus));
+            return;
+        }
+
         const lessonCell = target.closest('.lesson-in-table');
-        if (lessonCell && !state.draggedElementInfo) {
-            if (await showConfirm('حذف درس', 'آیا این درس از این جایگاه حذف شود؟')) {
-                const lessonId = lessonCell.dataset.lessonId;
-                const dropZone = lessonCell.closest('.drop-zone');
-                const { classId, key } = dropZone.dataset;
-                removeLessonFromSchedule(classId, lessonId, key);
-                logChange(`درس "${cleanName(state.lessons.find(l=>l.id===lessonId)?.name)}" از جدول حذف شد.`);
-                saveState();
-                renderAll();
-            }
+        if (lessonCell && !state.draggedElementInfo && lessonCell.closest('.drop-zone')) {
+            const { classId, key } = lessonCell.closest('.drop-zone').dataset;
+            await deleteLessonFromCell(classId, lessonCell.dataset.lessonId, key);
             return;
         }
 
@@ -721,52 +1178,89 @@ document.addEventListener('DOMContentLoaded', () => {
 
         if (classList.contains('remove-highlight-btn')) {
             removeHighlight(dataset.type, dataset.id);
-        } else if (id === 'full-view-btn' || id === 'teacher-view-btn') switchView(id.includes('full') ? 'full' : 'teacher');
+        } else if (classList.contains('view-btn')) switchView(dataset.view);
         else if (id === 'print-btn') handlePrint();
         else if (id === 'export-excel-btn') exportToExcel();
         else if (id === 'export-img-btn' || id === 'export-pdf-btn') exportSchedule(id.includes('pdf') ? 'pdf' : 'img');
         else if (id === 'settings-btn' || id === 'go-to-settings-btn') openModal('settings');
         else if (id === 'highlight-tool-btn') openHighlightModal();
         else if (classList.contains('week-btn')) switchWeek(dataset.week);
-        else if (id === 'backup-btn') handleBackup();
-        else if (id === 'restore-btn') getEl('restore-input').click();
-        else if (id === 'copy-to-week-b-btn') {
-            if (await showConfirm('کپی هفته الف به ب', 'این عمل تمام برنامه هفته "ب" را با برنامه هفته "الف" جایگزین می‌کند. آیا مطمئنید؟')) {
-                state.schedule.B = JSON.parse(JSON.stringify(state.schedule.A));
-                state.merges.B = JSON.parse(JSON.stringify(state.merges.A));
-                logChange('برنامه هفته الف به هفته ب کپی شد.');
-                saveState();
-                showToast('برنامه هفته الف با موفقیت به هفته ب کپی شد.', 'success');
-                if (state.activeWeek === 'B') renderAll();
+        else if (id === 'projects-btn') openProjectsModal();
+        else if (id === 'compare-btn') openCompareModal();
+        else if (id === 'run-compare-btn') runComparison();
+        else if (id === 'export-change-notice-btn') exportChangeNotice();
+        else if (id === 'substitute-btn') openSubstituteModal();
+        else if (id === 'find-substitutes-btn') findAbsence();
+        else if (id === 'print-substitutions-btn') handlePrintSubstitutions();
+        else if (classList.contains('delete-substitution-btn')) deleteSubstitution(button.closest('[data-substitution-id]').dataset.substitutionId);
+        else if (classList.contains('compare-file-btn')) {
+            getEl('compare-file-input').dataset.side = dataset.side;
+            getEl('compare-file-input').click();
+        }
+        else if (id === 'create-project-btn') {
+            const nameInput = getEl('new-project-name-input');
+            const name = nameInput.value.trim();
+            if (!name) {
+                showToast('نام پروژه را وارد کنید.', 'warning');
+                return;
             }
-        } else if (id === 'clear-schedule-btn') {
-            if (await showConfirm('پاک کردن جدول', `آیا از پاک کردن تمام دروس از جدول هفته "${state.activeWeek === 'A' ? 'الف' : 'ب'}" اطمینان دارید؟`)) {
-                Object.keys(state.schedule[state.activeWeek]).forEach(classId => {
-                    state.schedule[state.activeWeek][classId] = {};
-                });
-                state.merges[state.activeWeek] = [];
-                logChange(`جدول هفته "${state.activeWeek === 'A' ? 'الف' : 'ب'}" پاک شد.`);
+            await createProject(name);
+            nameInput.value = '';
+        } else if (classList.contains('open-project-btn')) switchProject(button.closest('.project-item').dataset.projectId);
+        else if (classList.contains('duplicate-project-btn')) duplicateProject(button.closest('.project-item').dataset.projectId);
+        else if (classList.contains('delete-project-btn')) {
+            const projectId = button.closest('.project-item').dataset.projectId;
+            if (await showConfirm('حذف پروژه', `پروژه "${getProjectName(projectId)}" و تمام اطلاعات آن حذف شود؟ این عمل غیرقابل بازگشت است.`)) deleteProject(projectId);
+        } else if (id === 'backup-btn') handleBackup();
+        else if (id === 'restore-btn') getEl('restore-input').click();
+        else if (id === 'copy-to-week-b-btn') copyWeek('A', 'B');
+        else if (id === 'copy-to-week-a-btn') copyWeek('B', 'A');
+        else if (id === 'clear-schedule-btn') {
+            const weekName = state.activeWeek === 'A' ? 'الف' : 'ب';
+            const hasPinned = Object.values(state.schedule[state.activeWeek]).some(classSchedule =>
+                Object.values(classSchedule).some(slot => slot.some(entry => entry.pinned)));
+            const mode = hasPinned
+                ? await showChoice('پاک کردن جدول', `جدول هفته "${weekName}" دروس سنجاق‌شده دارد. کدام دروس پاک شوند؟`, [
+                    { value: 'unpinned', label: 'فقط دروس سنجاق‌نشده' },
+                    { value: 'all', label: 'همه دروس', className: 'danger' },
+                ])
+                : (await showConfirm('پاک کردن جدول', `آیا از پاک کردن تمام دروس از جدول هفته "${weekName}" اطمینان دارید؟`) ? 'all' : null);
+            if (mode) {
+                recordHistory(`پاک کردن جدول هفته "${weekName}"`);
+                clearWeek(state.activeWeek, { keepPinned: mode === 'unpinned' });
+                logChange(mode === 'all' ? `جدول هفته "${weekName}" پاک شد.` : `دروس سنجاق‌نشده جدول هفته "${weekName}" پاک شد.`);
                 saveState();
                 renderAll();
-                showToast(`جدول هفته "${state.activeWeek === 'A' ? 'الف' : 'ب'}" پاک شد.`, 'success');
+                showToast(mode === 'all' ? `جدول هفته "${weekName}" پاک شد.` : `دروس سنجاق‌نشده هفته "${weekName}" پاک شد.`, 'success');
             }
         } else if (id === 'reset-app-btn') {
-            if (await showConfirm('حذف تمام داده‌ها', 'آیا از حذف کامل تمام اطلاعات برنامه اطمینان دارید؟ این عمل غیرقابل بازگشت است.')) {
-                localStorage.clear();
-                initializeApp();
+            const projectName = getProjectName();
+            const confirmText = projectName
+                ? `آیا از حذف کامل تمام اطلاعات پروژه "${projectName}" اطمینان دارید؟ پروژه‌های دیگر تغییری نمی‌کنند. این عمل غیرقابل بازگشت است.`
+                : 'آیا از حذف کامل تمام اطلاعات برنامه اطمینان دارید؟ این عمل غیرقابل بازگشت است.';
+            if (await showConfirm('حذف تمام داده‌ها', confirmText)) {
+                await resetActiveProject();
                 showToast('برنامه با موفقیت ریست شد.', 'success');
             }
-        } else if (id === 'auto-schedule-btn') autoSchedule();
+        } else if (id === 'undo-btn') undo();
+        else if (id === 'redo-btn') redo();
+        else if (id === 'auto-schedule-btn') openAutoScheduleModal();
+        else if (id === 'run-auto-schedule-btn') autoSchedule();
+        else if (id === 'cancel-auto-schedule-btn') cancelAutoSchedule();
+        else if (id === 'apply-auto-schedule-btn') applyAutoSchedule();
+        else if (id === 'discard-auto-schedule-btn') discardAutoSchedule();
         else if (id === 'merge-tool-btn') {
             if (state.isMergeMode) {
                 await finalizeMerge();
             }
             toggleMergeMode();
-        } else if (id === 'print-all-teachers-btn') handlePrintAllTeachers();
+        } else if (classList.contains('print-all-btn')) handlePrintAll(dataset.type);
         else if (id.startsWith('add-') && id.endsWith('-btn')) {
             const type = id.split('-')[1];
             openModal(type, 'add');
-        } else if (classList.contains('edit-btn') || classList.contains('delete-btn')) {
+        } else if (classList.contains('reassign-btn')) openReassignModal(button.closest('.list-item').dataset.id);
+        else if (id === 'apply-reassign-btn') applyReassign();
+        else if (classList.contains('edit-btn') || classList.contains('delete-btn')) {
             const itemElement = button.closest('.list-item');
             if (!itemElement) return;
             const { type, id: itemId } = itemElement.dataset;
@@ -790,12 +1284,28 @@ document.addEventListener('DOMContentLoaded', () => {
                 renderManagementLists();
             } else if (tabId === 'constraints') {
                 renderConstraintItemSelect(); // This will also call renderConstraintsSchedule
+            } else if (tabId === 'bell-schedule') {
+                renderBellScheduleSettings();
             } else if (tabId === 'change-log') {
                 renderChangeLog();
             }
         }
     };
 
+    // Removes one placement after a confirmation; resolves to whether it was removed.
+    const deleteLessonFromCell = async (classId, lessonId, key) => {
+        if (!(await showConfirm('حذف درس', 'آیا این درس از این جایگاه حذف شود؟'))) return false;
+        recordHistory('حذف درس از جدول');
+        const lesson = getLessonById(lessonId);
+        if (!syncMovesToOtherWeek([{ lesson, from: { classId, key }, to: null }])) warnSyncSkipped();
+        removeLessonFromSchedule(classId, lessonId, key);
+        if (lesson) markPlacementRowsStale(lesson, [key]);
+        logChange(`درس "${cleanName(lesson?.name)}" از جدول حذف شد.`);
+        saveState();
+        renderAll();
+        return true;
+    };
+
     // --- 8. Drag & Drop Handlers ---
     const handleDragStart = (e) => {
         const target = e.target.closest('.draggable, .lesson-in-table');
@@ -815,57 +1325,160 @@ document.addEventListener('DOMContentLoaded', () => {
         e.dataTransfer.setData('text/plain', lessonId);
         e.dataTransfer.effectAllowed = 'move';
         setTimeout(() => target.classList.add('dragging'), 0);
+        shadePlacementOptions(getLessonById(lessonId));
     };
 
     const handleDragEnd = (e) => {
         document.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
         state.draggedElementInfo = null;
         document.querySelectorAll('.drag-over, .invalid-drop').forEach(el => el.classList.remove('drag-over', 'invalid-drop'));
+        clearPlacementShading();
     };
 
     const handleDragOver = (e) => {
         e.preventDefault();
         const dropZone = e.target.closest('.drop-zone');
-        if (!dropZone || state.activeView !== 'full' || state.isMergeMode) return;
+        if (!dropZone || state.activeView !== 'full' || state.isMergeMode) {
+            hideDragStatusTooltip();
+            return;
+        }
 
         const lessonId = state.draggedElementInfo?.lessonId;
         if (!lessonId) return;
-        const lesson = state.lessons.find(l => l.id === lessonId);
+        const lesson = getLessonById(lessonId);
         if (!lesson) return;
 
-        const { classId } = dropZone.dataset;
-
-        if (lesson.classId !== classId) {
-            dropZone.classList.add('invalid-drop');
+        const swapTarget = e.altKey ? getSwapTarget(lesson, dropZone, e.target) : null;
+        if (swapTarget) {
+            const swap = checkSwap(lesson, swapTarget, dropZone, state.draggedElementInfo.originKey);
+            const message = swap.blocked || [`جابجایی با درس «${cleanName(swapTarget.name)}».`, ...swap.warnings].join(' ');
+            dropZone.classList.add(swap.blocked ? 'invalid-drop' : 'drag-over');
+            showDragStatusTooltip({ status: swap.blocked ? 'full' : 'swap', message }, e.clientX, e.clientY);
             return;
         }
 
-        const colspan = parseInt(dropZone.getAttribute('colspan') || '1');
+        const placement = getPlacementStatus(lesson, dropZone, getDraggedOrigin());
+        dropZone.classList.add(placement.status === 'free' ? 'drag-over' : 'invalid-drop');
+        showDragStatusTooltip(placement, e.clientX, e.clientY);
+    };
+
+    // With Alt held, dropping a placed lesson on another lesson of its class swaps the two.
+    const getSwapTarget = (lesson, dropZone, eventTarget) => {
+        const info = state.draggedElementInfo;
+        if (info?.source !== 'schedule' || dropZone.dataset.classId !== lesson.classId || lesson.jointClassIds?.length) return null;
+        if (dropZone.dataset.key === info.originKey) return null;
+        const slot = state.schedule[state.activeWeek]?.[lesson.classId]?.[dropZone.dataset.key] || [];
+        const pointedId = eventTarget.closest?.('.lesson-in-table')?.dataset.lessonId;
+        const entry = slot.find(e => e.isStart && e.lessonId !== lesson.id && (!pointedId || e.lessonId === pointedId)) ||
+            slot.find(e => e.isStart && e.lessonId !== lesson.id);
+        const target = entry ? getLessonById(entry.lessonId) : null;
+        return target && !target.jointClassIds?.length ? target : null;
+    };
+
+    /**
+     * Checks exchanging the dragged lesson, which starts at `originKey`, with `target`, which starts in `dropZone`.
+     * Each lesson has to fit the other's cell span; `blocked` explains why it can't, `warnings` list clashes to confirm.
+     */
+    const checkSwap = (lesson, target, dropZone, originKey) => {
+        const classId = lesson.classId;
+        const originZone = DOMElements.fullSchoolViewEl.querySelector(`.drop-zone[data-class-id="${classId}"][data-key="${originKey}"]`);
+        const moves = [
+            { lesson, startKey: dropZone.dataset.key, span: parseInt(dropZone.getAttribute('colspan') || '1'), fromKey: originKey },
+            { lesson: target, startKey: originKey, span: parseInt(originZone?.getAttribute('colspan') || '1'), fromKey: dropZone.dataset.key },
+        ];
+        const movingIds = [lesson.id, target.id];
+        const warnings = [];
+
+        for (const move of moves) {
+            const [day, periodStr] = move.startKey.split('_');
+            const startPeriod = parseInt(periodStr);
+            const name = cleanName(move.lesson.name);
+            if (move.lesson.periods > move.span) {
+                return { blocked: `درس «${name}» به ${toPersianNumber(move.lesson.periods)} زنگ نیاز دارد، اما جای جدیدش ${toPersianNumber(move.span)} زنگ است.`, warnings };
+            }
+            for (let i = 0; i < move.lesson.periods; i++) {
+                const period = startPeriod + i;
+                const others = (state.schedule[state.activeWeek][classId]?.[`${day}_${period}`] || []).filter(e => !movingIds.includes(e.lessonId));
+                if (others.length >= 2 || isSlotLocked({ classId, day, period, lessonId: move.lesson.id })) {
+                    return { blocked: `جای جدید درس «${name}» پر است یا قفل شده.`, warnings };
+                }
+            }
+            const exclude = { classId, lessonId: move.lesson.id, startKey: move.fromKey };
+            const conflictDetails = checkForConflict(move.lesson, day, startPeriod, classId);
+            if (conflictDetails?.teacher.length > 0) warnings.push(`«${name}»: تداخل دبیر با کلاس ${conflictDetails.teacher.map(cleanName).join('، ')}.`);
+            if (conflictDetails?.room.length > 0) warnings.push(`«${name}»: تداخل اتاق با کلاس ${conflictDetails.room.map(cleanName).join('، ')}.`);
+            checkTeacherRules(move.lesson, day, exclude).forEach(message => warnings.push(`«${name}»: ${message}`));
+            if (hasSessionOnDay(move.lesson, day, exclude)) warnings.push(`«${name}»: جلسه دیگری از این درس در روز ${day} قرار دارد.`);
+        }
+        return { blocked: null, warnings, moves };
+    };
 
-        if (lesson.periods > colspan) {
-            dropZone.classList.add('invalid-drop');
+    const swapLessons = async (dragInfo, lesson, target, dropZone) => {
+        const swap = checkSwap(lesson, target, dropZone, dragInfo.originKey);
+        if (swap.blocked) {
+            showToast(swap.blocked, 'error');
             return;
         }
+        if (swap.warnings.length > 0 && !(await showConfirm('جابجایی دو درس', `${swap.warnings.join(' ')} آیا می‌خواهید ادامه دهید؟`))) return;
 
-        const { day } = dropZone.dataset;
-        const startPeriod = parseInt(dropZone.dataset.period);
-        let canPlace = true;
-        for (let i = 0; i < lesson.periods; i++) {
-            const period = startPeriod + i;
-            const key = `${day}_${period}`;
-            const slotContent = state.schedule[state.activeWeek]?.[classId]?.[key] || [];
-
-            if (isSlotLocked({ classId, day, period, lessonId }) || slotContent.length >= 2) {
-                canPlace = false;
-                break;
-            }
-        }
+        recordHistory('جابجایی دو درس');
+        const classId = lesson.classId;
+        swap.moves.forEach(move => {
+            move.pinned = isPlacementPinned(classId, move.lesson.id, move.fromKey);
+            removeLessonFromSchedule(classId, move.lesson.id, move.fromKey);
+        });
+        swap.moves.forEach(move => {
+            const [day, periodStr] = move.startKey.split('_');
+            placeLessonInSchedule(classId, day, parseInt(periodStr), move.lesson, { pinned: move.pinned });
+        });
+        const synced = syncMovesToOtherWeek(swap.moves.map(move => ({
+            lesson: move.lesson,
+            from: { classId, key: move.fromKey },
+            to: { classId, key: move.startKey },
+            pinned: move.pinned,
+        })));
+        if (!synced) warnSyncSkipped();
+        swap.moves.forEach(move => markPlacementRowsStale(move.lesson, [move.fromKey, move.startKey]));
+
+        const className = getClassById(classId)?.name || '';
+        logChange(`درس‌های "${cleanName(lesson.name)}" و "${cleanName(target.name)}" در کلاس "${cleanName(className)}" جابجا شدند.`);
+        saveState();
+        renderAll();
+    };
 
-        if (canPlace) {
-            dropZone.classList.add('drag-over');
-        } else {
-            dropZone.classList.add('invalid-drop');
-        }
+    // Shades every cell of the dragged lesson's class row with its placement status.
+    const shadePlacementOptions = (lesson, origin = getDraggedOrigin()) => {
+        if (!lesson || state.activeView !== 'full' || state.isMergeMode) return;
+        getLessonClassIds(lesson).forEach(classId => {
+            DOMElements.fullSchoolViewEl.querySelectorAll(`.drop-zone[data-class-id="${classId}"]`).forEach(dropZone => {
+                const { status } = getPlacementStatus(lesson, dropZone, origin);
+                dropZone.classList.add('slot-status', `slot-${status}`);
+            });
+        });
+    };
+
+    const clearPlacementShading = () => {
+        document.querySelectorAll('.slot-status').forEach(el => {
+            el.classList.remove('slot-status', ...Object.keys(PLACEMENT_STATUS_TEXT).map(status => `slot-${status}`));
+        });
+        hideDragStatusTooltip();
+    };
+
+    const showDragStatusTooltip = (placement, x, y) => {
+        const tooltip = getEl('drag-status-tooltip');
+        if (!tooltip) return;
+        tooltip.textContent = placement.message;
+        tooltip.className = `drag-status-tooltip slot-${placement.status}`;
+        tooltip.style.left = `${x + 12}px`;
+        tooltip.style.top = `${y + 12}px`;
+    };
+
+    const hideDragStatusTooltip = () => getEl('drag-status-tooltip')?.classList.add('hidden');
+
+    // The placement being moved, so rule checks don't count the dragged lesson twice.
+    const getDraggedOrigin = () => {
+        const info = state.draggedElementInfo;
+        return info?.source === 'schedule' ? { classId: info.originClassId, lessonId: info.lessonId, startKey: info.originKey } : null;
     };
 
     const handleDragLeave = (e) => {
@@ -879,50 +1492,92 @@ document.addEventListener('DOMContentLoaded', () => {
         e.preventDefault();
         const dropZone = e.target.closest('.drop-zone');
         document.querySelectorAll('.drag-over, .invalid-drop').forEach(el => el.classList.remove('drag-over', 'invalid-drop'));
+        clearPlacementShading();
 
-        if (!state.draggedElementInfo || !dropZone || state.activeView !== 'full' || state.isMergeMode) return;
+        // The drag ends while a confirmation is open, so keep the drag details for after it.
+        const dragInfo = state.draggedElementInfo;
+        if (!dragInfo || !dropZone || state.activeView !== 'full' || state.isMergeMode) return;
 
         const lessonId = e.dataTransfer.getData('text/plain');
-        const lesson = state.lessons.find(l => l.id === lessonId);
+        const lesson = getLessonById(lessonId);
         if (!lesson) return;
 
+        const swapTarget = e.altKey ? getSwapTarget(lesson, dropZone, e.target) : null;
+        if (swapTarget) {
+            await swapLessons(dragInfo, lesson, swapTarget, dropZone);
+            return;
+        }
+
+        const from = dragInfo.source === 'schedule' ? { classId: dragInfo.originClassId, key: dragInfo.originKey } : null;
+        await placeLessonAt(lesson, from, dropZone);
+    };
+
+    /**
+     * Drops `lesson` on `dropZone`, taking it from `from` ({ classId, key }) if it was placed: blocked cells are refused
+     * with a toast and clashes are confirmed first. Resolves to whether the lesson was placed.
+     */
+    const placeLessonAt = async (lesson, from, dropZone) => {
         const { day, classId } = dropZone.dataset;
         const startPeriod = parseInt(dropZone.dataset.period);
+        const exclude = from ? { classId: from.classId, lessonId: lesson.id, startKey: from.key } : null;
 
-        if (lesson.classId !== classId) {
+        if (!getLessonClassIds(lesson).includes(classId)) {
             showToast('درس فقط می‌تواند در کلاس مربوط به خودش قرار گیرد.', 'error');
-            return;
+            return false;
         }
 
         const colspan = parseInt(dropZone.getAttribute('colspan') || '1');
         if (lesson.periods > colspan) {
             showToast(`این درس به ${toPersianNumber(lesson.periods)} زنگ نیاز دارد، اما این فضا فقط ${toPersianNumber(colspan)} زنگ است.`, 'error');
-            return;
+            return false;
+        }
+        if (!fitsCellSpans(lesson, classId, dropZone.dataset.key)) {
+            showToast(JOINT_SPAN_TEXT, 'error');
+            return false;
         }
 
-        for (let i = 0; i < lesson.periods; i++) {
-            const period = startPeriod + i;
-            const key = `${day}_${period}`;
-            const slotContent = state.schedule[state.activeWeek]?.[classId]?.[key] || [];
-            if (slotContent.length >= 2 || isSlotLocked({ classId, day, period, lessonId })) {
-                showToast('این جایگاه پر است یا قفل شده.', 'error');
-                return;
-            }
+        const placement = getPlacementStatus(lesson, dropZone, exclude);
+        if (['locked', 'full', 'joint'].includes(placement.status)) {
+            showToast(placement.message, 'error');
+            return false;
         }
 
+        const ruleViolations = checkTeacherRules(lesson, day, exclude);
+        const sameDaySession = hasSessionOnDay(lesson, day, exclude);
         const conflictDetails = checkForConflict(lesson, day, startPeriod, classId);
         if (conflictDetails) {
             let message = `تداخل دبیر با کلاس: ${conflictDetails.teacher.map(cleanName).join(', ')}.`;
-            if (!(await showConfirm('تداخل در برنامه', `${message} آیا می‌خواهید ادامه دهید؟`))) return;
+            if (!(await showConfirm('تداخل در برنامه', `${message} آیا می‌خواهید ادامه دهید؟`))) return false;
+        }
+
+        if (ruleViolations.length > 0) {
+            if (!(await showConfirm('قوانین حجم کار دبیر', `${ruleViolations.join(' ')} آیا می‌خواهید ادامه دهید؟`))) return false;
+        }
+
+        if (sameDaySession) {
+            if (!(await showConfirm('جلسه تکراری در یک روز', `جلسه دیگری از این درس در روز ${day} قرار دارد. آیا می‌خواهید ادامه دهید؟`))) return false;
         }
 
-        if (state.draggedElementInfo.source === 'schedule') {
-            removeLessonFromSchedule(state.draggedElementInfo.originClassId, lessonId, state.draggedElementInfo.originKey);
+        moveLessonTo(lesson, from, { classId, day, startPeriod });
+        return true;
+    };
+
+    // Places `lesson` at `to` ({ classId, day, startPeriod }), taking it from its placement `from` ({ classId, key }) when it had one.
+    // Callers run the placement checks first; this only records the change.
+    const moveLessonTo = (lesson, from, to) => {
+        const { classId, day, startPeriod } = to;
+        recordHistory(from ? 'جابجایی درس' : 'قرار دادن درس');
+        const pinned = !!from && isPlacementPinned(from.classId, lesson.id, from.key);
+        if (from) {
+            removeLessonFromSchedule(from.classId, lesson.id, from.key);
         }
 
-        placeLessonInSchedule(classId, day, startPeriod, lesson);
+        placeLessonInSchedule(classId, day, startPeriod, lesson, { pinned });
+        const synced = syncMovesToOtherWeek([{ lesson, from, to: { classId, key: `${day}_${startPeriod}` }, pinned }]);
+        if (!synced) warnSyncSkipped();
+        markPlacementRowsStale(lesson, [from?.key, `${day}_${startPeriod}`]);
 
-        const className = state.classes.find(c => c.id === classId)?.name || '';
+        const className = getClassById(classId)?.name || '';
         logChange(`درس "${cleanName(lesson.name)}" در کلاس "${cleanName(className)}" روز ${day} زنگ ${toPersianNumber(startPeriod)} قرار گرفت.`);
 
         saveState();
@@ -942,81 +1597,259 @@ document.addEventListener('DOMContentLoaded', () => {
         DOMElements.lessonsListEl.classList.remove('drag-over-sidebar');
         if (state.draggedElementInfo && state.draggedElementInfo.source === 'schedule') {
             const { lessonId, originClassId, originKey } = state.draggedElementInfo;
-            removeLessonFromSchedule(originClassId, lessonId, originKey);
-            logChange(`درس "${cleanName(state.lessons.find(l=>l.id===lessonId)?.name)}" به لیست تخصیص نیافته بازگردانده شد.`);
-            saveState();
-            renderAll();
+            returnLessonToList(originClassId, lessonId, originKey);
         }
     };
 
-    // --- 9. Data Management & Modals ---
-    const placeLessonInSchedule = (classId, day, startPeriod, lesson) => {
-        const schedule = state.schedule[state.activeWeek];
-        if (!schedule[classId]) schedule[classId] = {};
-
-        for (let i = 0; i < lesson.periods; i++) {
-            const period = startPeriod + i;
-            const key = `${day}_${period}`;
-            if (!schedule[classId][key]) {
-                schedule[classId][key] = [];
-            }
-            schedule[classId][key].push({
-                lessonId: lesson.id,
-                isStart: i === 0
-            });
+    const returnLessonToList = (classId, lessonId, key) => {
+        recordHistory('بازگرداندن درس به لیست');
+        const lesson = getLessonById(lessonId);
+        if (!syncMovesToOtherWeek([{ lesson, from: { classId, key }, to: null }])) warnSyncSkipped();
+        removeLessonFromSchedule(classId, lessonId, key);
+        if (lesson) markPlacementRowsStale(lesson, [key]);
+        logChange(`درس "${cleanName(lesson?.name)}" به لیست تخصیص نیافته بازگردانده شد.`);
+        saveState();
+        renderAll();
+    };
+
+    // --- Keyboard placement ---
+    // The full view's grid is a single tab stop: arrow keys move between cells, Enter or Space picks a lesson up and drops it,
+    // Delete removes it, P pins it and Escape puts it down again. Lessons in the sidebar are picked up the same way.
+    let activeCell = null; // { classId, day, period } of the cell that takes focus when tabbing into the grid
+    let keyboardPick = null; // the carried lesson: { lessonId, source, originClassId, originKey }, like state.draggedElementInfo
+
+    const getKeyboardOrigin = () => keyboardPick?.source === 'schedule'
+        ? { classId: keyboardPick.originClassId, lessonId: keyboardPick.lessonId, startKey: keyboardPick.originKey }
+        : null;
+
+    // The cell of a class row that covers `period`; merged cells and multi-period lessons span several periods.
+    const findZoneAt = (classId, day, period) =>
+        [...DOMElements.fullSchoolViewEl.querySelectorAll(`.drop-zone[data-class-id="${classId}"][data-day="${day}"]`)].find(zone => {
+            const start = parseInt(zone.dataset.period);
+            return period >= start && period < start + parseInt(zone.getAttribute('colspan') || '1');
+        });
+
+    const getActiveZone = () => (activeCell && findZoneAt(activeCell.classId, activeCell.day, activeCell.period)) ||
+        DOMElements.fullSchoolViewEl.querySelector('.drop-zone');
+
+    const syncGridTabStop = () => {
+        DOMElements.fullSchoolViewEl.querySelectorAll('.drop-zone[tabindex="0"]').forEach(zone => zone.setAttribute('tabindex', '-1'));
+        getActiveZone()?.setAttribute('tabindex', '0');
+    };
+
+    const setActiveCell = (zone) => {
+        activeCell = { classId: zone.dataset.classId, day: zone.dataset.day, period: parseInt(zone.dataset.period) };
+        syncGridTabStop();
+    };
+
+    // While a lesson is carried, moving onto a cell also reads whether it can go there.
+    const focusZone = (zone) => {
+        if (!zone) return;
+        setActiveCell(zone);
+        zone.focus();
+        const lesson = getLessonById(keyboardPick?.lessonId);
+        if (lesson) announce(getPlacementStatus(lesson, zone, getKeyboardOrigin()).message);
+    };
+
+    const getZoneLessonIds = (zone) => (state.schedule[state.activeWeek][zone.dataset.classId]?.[zone.dataset.key] || [])
+        .filter(entry => entry.isStart).map(entry => entry.lessonId);
+
+    const isKeyboardOrigin = (zone) => keyboardPick?.source === 'schedule' &&
+        zone.dataset.classId === keyboardPick.originClassId && zone.dataset.key === keyboardPick.originKey;
+
+    // The lesson a key press in `zone` acts on: the one picked up there, or the only one in it.
+    const getZoneTargetLessonId = (zone) => {
+        if (isKeyboardOrigin(zone)) return keyboardPick.lessonId;
+        const lessonIds = getZoneLessonIds(zone);
+        if (lessonIds.length === 1) return lessonIds[0];
+        announce(lessonIds.length > 1 ? 'این خانه چند درس دارد؛ ابتدا درس مورد نظر را با Enter بردارید.' : 'این خانه خالی است.');
+        return null;
+    };
+
+    // Marks the carried lesson and shades its row again, e.g. after the row was re-rendered.
+    const markKeyboardPick = () => {
+        document.querySelectorAll('.keyboard-picked').forEach(el => el.classList.remove('keyboard-picked'));
+        clearPlacementShading();
+        if (!keyboardPick) return;
+        shadePlacementOptions(getLessonById(keyboardPick.lessonId), getKeyboardOrigin());
+        const element = keyboardPick.source === 'schedule'
+            ? getDropZone(keyboardPick.originClassId, keyboardPick.originKey)?.querySelector(`.lesson-in-table[data-lesson-id="${keyboardPick.lessonId}"]`)
+            : DOMElements.lessonsListEl.querySelector(`.list-item[data-id="${keyboardPick.lessonId}"]`);
+        element?.classList.add('keyboard-picked');
+    };
+
+    // `origin` ({ classId, key }) is the placement the lesson is picked up from; without it the lesson comes from the sidebar.
+    const pickUpLesson = (lessonId, origin = null) => {
+        const lesson = getLessonById(lessonId);
+        if (!lesson) return;
+        keyboardPick = { lessonId, source: origin ? 'schedule' : 'sidebar', originClassId: origin?.classId, originKey: origin?.key };
+        if (state.activeView !== 'full') switchView('full');
+        if (state.isMergeMode) toggleMergeMode();
+        markKeyboardPick();
+        announce(`درس ${cleanName(lesson.name)}، ${getLessonClassNames(lesson)}، برداشته شد. خانه مقصد را با کلیدهای جهت انتخاب و Enter را بزنید؛ Escape برای لغو.`);
+        if (!origin) {
+            const zones = [...DOMElements.fullSchoolViewEl.querySelectorAll(`.drop-zone[data-class-id="${lesson.classId}"]`)];
+            const freeZones = zones.filter(zone => getPlacementStatus(lesson, zone).status === 'free');
+            focusZone(freeZones.find(zone => getZoneLessonIds(zone).length === 0) || freeZones[0] || zones[0]);
+        }
+    };
+
+    const putDownLesson = (message = null) => {
+        if (!keyboardPick) return;
+        keyboardPick = null;
+        markKeyboardPick();
+        if (message) announce(message);
+    };
+
+    // Enter on a cell: drops the carried lesson there, or picks up a lesson from it.
+    // On the cell a lesson was picked up from, Enter moves on to the cell's next lesson, or puts the lesson back.
+    const handleZoneEnter = async (zone) => {
+        if (!keyboardPick) {
+            const [lessonId] = getZoneLessonIds(zone);
+            if (lessonId) pickUpLesson(lessonId, { classId: zone.dataset.classId, key: zone.dataset.key });
+            else announce('این خانه خالی است. درسی را از فهرست دروس تخصیص نیافته بردارید.');
+            return;
+        }
+        const lesson = getLessonById(keyboardPick.lessonId);
+        // An undo may have taken the lesson away from where it was picked up.
+        const originEntry = keyboardPick.source === 'schedule' &&
+            state.schedule[state.activeWeek][keyboardPick.originClassId]?.[keyboardPick.originKey]?.find(e => e.lessonId === keyboardPick.lessonId && e.isStart);
+        if (!lesson || (keyboardPick.source === 'schedule' && !originEntry)) {
+            putDownLesson('درس برداشته‌شده دیگر در جای خود نیست؛ دوباره آن را بردارید.');
+            return;
+        }
+        if (isKeyboardOrigin(zone)) {
+            const lessonIds = getZoneLessonIds(zone);
+            const nextId = lessonIds[(lessonIds.indexOf(lesson.id) + 1) % lessonIds.length];
+            if (nextId !== lesson.id) pickUpLesson(nextId, { classId: zone.dataset.classId, key: zone.dataset.key });
+            else putDownLesson(`درس ${cleanName(lesson.name)} در جای خود ماند.`);
+            return;
+        }
+        const from = keyboardPick.source === 'schedule' ? { classId: keyboardPick.originClassId, key: keyboardPick.originKey } : null;
+        const { day, period } = zone.dataset;
+        if (await placeLessonAt(lesson, from, zone)) {
+            putDownLesson(`درس ${cleanName(lesson.name)} در ${day} زنگ ${toPersianNumber(period)} قرار گرفت.`);
+        }
+    };
+
+    const handleZoneDelete = async (zone) => {
+        const lessonId = getZoneTargetLessonId(zone);
+        if (!lessonId) return;
+        const lessonName = cleanName(getLessonById(lessonId)?.name);
+        if (await deleteLessonFromCell(zone.dataset.classId, lessonId, zone.dataset.key)) {
+            if (keyboardPick?.lessonId === lessonId) putDownLesson();
+            announce(`درس ${lessonName} از جدول حذف شد.`);
         }
     };
 
-    const removeLessonFromSchedule = (classId, lessonIdToRemove, startKey) => {
-        const schedule = state.schedule[state.activeWeek][classId];
-        const lesson = state.lessons.find(l => l.id === lessonIdToRemove);
-        if (!schedule || !lesson || !startKey) {
-            console.error("Remove failed: missing data", { classId, lessonIdToRemove, startKey });
+    const handleZonePin = (zone) => {
+        const lessonId = getZoneTargetLessonId(zone);
+        if (!lessonId) return;
+        const { classId, key } = zone.dataset;
+        togglePin(classId, lessonId, key);
+        markKeyboardPick();
+        announce(`درس ${cleanName(getLessonById(lessonId)?.name)} ${isPlacementPinned(classId, lessonId, key) ? 'سنجاق شد' : 'از حالت سنجاق خارج شد'}.`);
+    };
+
+    const handleGridKeydown = async (e) => {
+        const zone = e.target;
+        if (!zone.classList?.contains('drop-zone') || state.activeView !== 'full' || e.ctrlKey || e.metaKey || e.altKey) return;
+        const row = zone.parentElement;
+        const rowZones = [...row.querySelectorAll('.drop-zone')];
+        const index = rowZones.indexOf(zone);
+        const zoneInRow = (otherRow) => otherRow && findZoneAt(otherRow.dataset.classId, zone.dataset.day, parseInt(zone.dataset.period));
+        // The grid runs right to left, so the left arrow moves on to the next period.
+        const targets = {
+            ArrowLeft: () => rowZones[index + 1],
+            ArrowRight: () => rowZones[index - 1],
+            ArrowUp: () => zoneInRow(row.previousElementSibling),
+            ArrowDown: () => zoneInRow(row.nextElementSibling),
+            Home: () => rowZones[0],
+            End: () => rowZones[rowZones.length - 1],
+        };
+        if (targets[e.key]) {
+            e.preventDefault();
+            focusZone(targets[e.key]());
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            if (state.isMergeMode) handleMergeCellClick(zone);
+            else await handleZoneEnter(zone);
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            await handleZoneDelete(zone);
+        } else if (e.code === 'KeyP') {
+            e.preventDefault();
+            handleZonePin(zone);
+        } else if (e.key === 'Escape' && keyboardPick) {
+            putDownLesson('برداشتن درس لغو شد.');
+        }
+    };
+
+    // Enter on the unplaced lessons list picks a lesson up, or returns the lesson carried from the grid to the list.
+    const handleSidebarKeydown = (e) => {
+        if (e.key === 'Escape' && keyboardPick) {
+            putDownLesson('برداشتن درس لغو شد.');
             return;
         }
+        if ((e.key !== 'Enter' && e.key !== ' ') || e.target.closest('input, button')) return;
+        const item = e.target.closest('.list-item.draggable');
+        if (keyboardPick?.source === 'schedule') {
+            e.preventDefault();
+            const { lessonId, originClassId, originKey } = keyboardPick;
+            putDownLesson();
+            returnLessonToList(originClassId, lessonId, originKey);
+            announce(`درس ${cleanName(getLessonById(lessonId)?.name)} به لیست دروس تخصیص نیافته بازگشت.`);
+        } else if (item) {
+            e.preventDefault();
+            pickUpLesson(item.dataset.id);
+        }
+    };
+
+    // --- 9. Data Management & Modals ---
+    const togglePin = (classId, lessonId, startKey) => {
+        const pinned = !isPlacementPinned(classId, lessonId, startKey);
+        const lessonName = cleanName(getLessonById(lessonId)?.name);
+        recordHistory(pinned ? 'سنجاق کردن درس' : 'برداشتن سنجاق درس');
+        const lesson = getLessonById(lessonId);
+        const syncedEntries = state.settings.syncWeeks && getLessonWeekPattern(lesson) === 'every'
+            ? getPlacementEntries(classId, lessonId, startKey, getOtherWeek(state.activeWeek))
+            : [];
+        [...getPlacementEntries(classId, lessonId, startKey), ...syncedEntries].forEach(entry => {
+            if (pinned) entry.pinned = true;
+            else delete entry.pinned;
+        });
+        markRowsStale(getLessonClassIds(lesson));
+        logChange(`درس "${lessonName}" ${pinned ? 'سنجاق شد' : 'از حالت سنجاق خارج شد'}.`);
+        saveState();
+        renderAll();
+    };
 
-        const [day, periodStr] = startKey.split('_');
-        const startPeriod = parseInt(periodStr);
+    const warnSyncSkipped = () => showToast(`این تغییر در هفته "${getWeekName(getOtherWeek(state.activeWeek))}" تکرار نشد، چون جایگاه درس در دو هفته یکسان نیست یا خانه مقصد پر است.`, 'warning');
 
-        for (let i = 0; i < lesson.periods; i++) {
-            const key = `${day}_${startPeriod + i}`;
-            if (schedule[key]) {
-                schedule[key] = schedule[key].filter(entry => entry.lessonId !== lessonIdToRemove);
-                if (schedule[key].length === 0) {
-                    delete schedule[key];
-                }
-            }
+    const copyWeek = async (sourceWeek, targetWeek) => {
+        const sourceName = getWeekName(sourceWeek);
+        const targetName = getWeekName(targetWeek);
+        if (!(await showConfirm(`کپی هفته ${sourceName} به ${targetName}`, `این عمل برنامه هفته "${targetName}" را با برنامه هفته "${sourceName}" جایگزین می‌کند. دروسی که فقط در یک هفته یا یک هفته در میان برگزار می‌شوند کپی نمی‌شوند و دروس سنجاق‌شده هفته "${targetName}" سر جای خود می‌مانند. آیا مطمئنید؟`))) return;
+
+        recordHistory(`کپی هفته ${sourceName} به ${targetName}`);
+        const droppedCount = core.copyWeekSchedule(sourceWeek, targetWeek);
+
+        logChange(`برنامه هفته ${sourceName} به هفته ${targetName} کپی شد.`);
+        saveState();
+        if (droppedCount > 0) {
+            showToast(`برنامه هفته ${sourceName} به هفته ${targetName} کپی شد. ${toPersianNumber(droppedCount)} جلسه از دروس مخصوص یا سنجاق‌شده هفته ${targetName} به علت پر بودن خانه‌ها حذف شد.`, 'warning');
+        } else {
+            showToast(`برنامه هفته ${sourceName} با موفقیت به هفته ${targetName} کپی شد.`, 'success');
         }
+        if (state.activeWeek === targetWeek) renderAll();
     };
 
     const handleDelete = (type, id) => {
         const item = state[type === 'class' ? 'classes' : `${type}s`]?.find(i => i.id === id);
         const itemName = item ? cleanName(item.name) : 'مورد حذف شده';
+        recordHistory(`حذف ${getPersianTypeName(type)} "${itemName}"`);
 
-        const arrayName = type === 'class' ? 'classes' : `${type}s`;
-        state[arrayName] = state[arrayName].filter(item => item.id !== id);
-
-        if (type === 'teacher' || type === 'class') {
-            const lessonsToRemove = state.lessons.filter(l => (type === 'teacher' && l.teacherId === id) || (type === 'class' && l.classId === id)).map(l => l.id);
-            state.lessons = state.lessons.filter(l => !lessonsToRemove.includes(l.id));
-
-            ['A', 'B'].forEach(week => {
-                Object.keys(state.schedule[week]).forEach(classId => {
-                    Object.keys(state.schedule[week][classId]).forEach(key => {
-                        state.schedule[week][classId][key] = state.schedule[week][classId][key]
-                            .filter(entry => !lessonsToRemove.includes(entry.lessonId));
-                        if (state.schedule[week][classId][key].length === 0) {
-                            delete state.schedule[week][classId][key];
-                        }
-                    });
-                });
-            });
-        }
-
-        if (type === 'class') {
-            delete state.schedule.A[id];
-            delete state.schedule.B[id];
-        }
+        core.deleteEntity(type, id);
 
         logChange(`${getPersianTypeName(type)} "${itemName}" و تمام دروس مرتبط حذف شد.`);
         saveState();
@@ -1025,6 +1858,112 @@ document.addEventListener('DOMContentLoaded', () => {
         showToast(`${getPersianTypeName(type)} با موفقیت حذف شد.`, 'success');
     };
 
+    // --- Lesson reassignment ---
+    let reassignSourceId = null; // the teacher whose lessons the reassign modal moves
+
+    const openReassignModal = (teacherId) => {
+        const teacher = getTeacherById(teacherId);
+        const lessons = state.lessons.filter(l => l.teacherId === teacherId).sort((a, b) => a.name.localeCompare(b.name));
+        if (!teacher || lessons.length === 0) {
+            showToast(`دبیر "${teacher?.name || ''}" درسی برای انتقال ندارد.`, 'info');
+            return;
+        }
+        reassignSourceId = teacherId;
+        const placedCounts = getPlacedCountsByWeek();
+        getEl('reassign-teacher-name').textContent = teacher.name;
+        getEl('reassign-all-toggle').checked = true;
+        getEl('reassign-lessons-list').innerHTML = lessons.map(lesson => `<label class="list-item reassign-lesson">
+                <input type="checkbox" value="${lesson.id}" checked>
+                <div>
+                    <div class="item-name">${cleanName(lesson.name)}</div>
+                    <div class="class-name-sidebar">${getLessonClassNames(lesson)} - چیده‌شده: الف ${toPersianNumber(placedCounts.A.get(lesson.id) || 0)}، ب ${toPersianNumber(placedCounts.B.get(lesson.id) || 0)}</div>
+                </div>
+            </label>`).join('');
+        getEl('reassign-target-select').value = '';
+        renderReassignTargets();
+        getEl('reassign-modal').style.display = 'flex';
+    };
+
+    const getReassignLessonIds = () => [...getEl('reassign-lessons-list').querySelectorAll('input:checked')].map(input => input.value);
+
+    // Teachers qualified for every selected lesson come first; teachers without listed subjects are not ruled out.
+    const renderReassignTargets = () => {
+        const lessons = getReassignLessonIds().map(getLessonById);
+        const select = getEl('reassign-target-select');
+        const previous = select.value;
+        const candidates = state.teachers.filter(t => t.id !== reassignSourceId).map(teacher => ({
+            teacher,
+            listed: Boolean(teacher.subjects?.length),
+            unqualified: lessons.filter(lesson => isTeacherQualified(teacher, lesson) === false).length,
+        })).sort((a, b) => (b.listed && !b.unqualified) - (a.listed && !a.unqualified) || a.unqualified - b.unqualified || a.teacher.name.localeCompare(b.teacher.name));
+        select.innerHTML = '<option value="">-- دبیر جدید --</option>' + candidates.map(({ teacher, listed, unqualified }) => {
+            const note = !listed ? ' (دروس قابل تدریس ثبت نشده)' : unqualified ? ` (بدون صلاحیت برای ${toPersianNumber(unqualified)} درس)` : ' ✓';
+            return `<option value="${teacher.id}">${teacher.name}${note}</option>`;
+        }).join('');
+        select.value = candidates.some(c => c.teacher.id === previous) ? previous : '';
+        renderReassignConflicts();
+    };
+
+    const describeReassignConflict = (conflict) => {
+        const where = `هفته ${getWeekName(conflict.week)}، ${conflict.day} زنگ ${toPersianNumber(conflict.period)}`;
+        const lesson = getLessonById(conflict.lessonId);
+        const lessonText = `<strong>${cleanName(lesson?.name)}</strong> (${getLessonClassNames(lesson)})`;
+        switch (conflict.type) {
+            case 'teacher':
+                return `${where}: ${lessonText} با ${conflict.otherLessonIds.map(id => `${cleanName(getLessonById(id)?.name)} (${getLessonClassNames(getLessonById(id))})`).join('، ')} تداخل دارد.`;
+            case 'unavailable':
+                return `${where}: ${lessonText} در زمانی است که دبیر جدید در دسترس نیست.`;
+            case 'dayOff':
+                return `${where}: ${lessonText} در روز آزاد دبیر جدید است.`;
+            case 'maxDailyPeriods':
+                return `هفته ${getWeekName(conflict.week)}، ${conflict.day}: دبیر جدید ${toPersianNumber(conflict.count)} زنگ درس خواهد داشت (حداکثر ${toPersianNumber(conflict.limit)} زنگ در روز).`;
+            case 'maxDays':
+                return `هفته ${getWeekName(conflict.week)}: دبیر جدید ${toPersianNumber(conflict.count)} روز حضور خواهد داشت (حداکثر ${toPersianNumber(conflict.limit)} روز).`;
+            default:
+                return '';
+        }
+    };
+
+    const renderReassignConflicts = () => {
+        const targetId = getEl('reassign-target-select').value;
+        const lessonIds = getReassignLessonIds();
+        const container = getEl('reassign-conflicts');
+        getEl('apply-reassign-btn').disabled = !targetId || lessonIds.length === 0;
+        if (!targetId || lessonIds.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        const conflicts = core.findReassignConflicts(lessonIds, targetId);
+        container.innerHTML = conflicts.length === 0
+            ? '<p class="no-conflict-text">این انتقال در جایگاه‌های فعلی جدول تداخلی ایجاد نمی‌کند.</p>'
+            : `<h4>${toPersianNumber(conflicts.length)} تداخل در جایگاه‌های فعلی</h4>${conflicts.map(c => `<div class="conflict-item">${describeReassignConflict(c)}</div>`).join('')}`;
+    };
+
+    const applyReassign = async () => {
+        const lessonIds = getReassignLessonIds();
+        const source = getTeacherById(reassignSourceId);
+        const target = getTeacherById(getEl('reassign-target-select').value);
+        if (!source || !target || lessonIds.length === 0) return;
+
+        const unqualified = lessonIds.map(getLessonById).filter(lesson => isTeacherQualified(target, lesson) === false);
+        const conflicts = core.findReassignConflicts(lessonIds, target.id);
+        const warnings = [
+            unqualified.length && `دبیر "${target.name}" صلاحیت تدریس ${unqualified.map(l => `"${cleanName(l.name)}"`).join('، ')} را ندارد.`,
+            conflicts.length && `این انتقال ${toPersianNumber(conflicts.length)} تداخل در جدول ایجاد می‌کند.`,
+        ].filter(Boolean);
+        if (warnings.length > 0 && !await showConfirm('انتقال دروس', `${warnings.join(' ')} آیا ادامه می‌دهید؟`)) return;
+
+        const description = `${toPersianNumber(lessonIds.length)} درس از "${source.name}" به "${target.name}" منتقل شد`;
+        recordHistory(`انتقال دروس "${source.name}" به "${target.name}"`);
+        core.reassignLessons(lessonIds, target.id);
+        logChange(`${description}: ${lessonIds.map(id => cleanName(getLessonById(id)?.name)).join('، ')}.`);
+        saveState();
+        if (getEl('settings-modal').style.display === 'flex') renderManagementLists();
+        renderAll();
+        getEl('reassign-modal').style.display = 'none';
+        showToast(`${description}.`, 'success');
+    };
+
     const openModal = (type, mode = 'add', id = null) => {
         const modal = getEl(`${type}-modal`);
         if (!modal) return;
@@ -1032,6 +1971,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (type === 'settings') {
             renderManagementLists();
             renderConstraintItemSelect();
+            renderBellScheduleSettings();
             renderChangeLog();
             modal.style.display = 'flex';
             return;
@@ -1046,6 +1986,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
         modal.querySelector('h2').textContent = `${mode === 'edit' ? 'ویرایش' : 'افزودن'} ${getPersianTypeName(type)}`;
 
+        if (type === 'room') {
+            getEl('room-type-options').innerHTML = getRoomTypes().map(t => `<option value="${t}"></option>`).join('');
+        }
+
         if (type === 'lesson') {
             const teacherSelect = getEl('lesson-teacher-select');
             teacherSelect.innerHTML = '<option value="">-- انتخاب دبیر --</option>';
@@ -1054,10 +1998,18 @@ document.addEventListener('DOMContentLoaded', () => {
             const classSelect = getEl('lesson-class-select');
             classSelect.innerHTML = '<option value="">-- انتخاب کلاس --</option>';
             state.classes.sort((a, b) => a.name.localeCompare(b.name)).forEach(c => classSelect.innerHTML += `<option value="${c.id}">${cleanName(c.name)}</option>`);
+            getEl('lesson-joint-classes-select').innerHTML = state.classes.map(c => `<option value="${c.id}">${cleanName(c.name)}</option>`).join('');
 
             const roomSelect = getEl('lesson-room-select');
             roomSelect.innerHTML = '<option value="">-- بدون اتاق خاص --</option>';
             state.rooms.sort((a, b) => a.name.localeCompare(b.name)).forEach(r => roomSelect.innerHTML += `<option value="${r.id}">${r.name}</option>`);
+            const roomTypes = getRoomTypes();
+            if (roomTypes.length > 0) {
+                roomSelect.innerHTML += `<optgroup label="هر اتاق آزاد از نوع">${roomTypes.map(t => `<option value="type:${t}">${t}</option>`).join('')}</optgroup>`;
+            }
+
+            getEl('lesson-periods-input').max = getMaxPeriods();
+            getEl('lesson-sessions-input').max = getActiveDays().length;
         }
 
         if (mode === 'edit' && id) {
@@ -1068,17 +2020,42 @@ document.addEventListener('DOMContentLoaded', () => {
             if (type === 'lesson') {
                 getEl('lesson-teacher-select').value = item.teacherId || "";
                 getEl('lesson-class-select').value = item.classId || "";
-                getEl('lesson-room-select').value = item.roomId || "";
+                [...getEl('lesson-joint-classes-select').options].forEach(o => { o.selected = item.jointClassIds?.includes(o.value) || false; });
+                getEl('lesson-room-select').value = item.roomType ? `type:${item.roomType}` : (item.roomId || "");
                 getEl('lesson-periods-input').value = item.periods || 1;
+                getEl('lesson-sessions-input').value = getLessonSessions(item);
+                getEl('lesson-week-pattern-select').value = getLessonWeekPattern(item);
+            }
+            if (type === 'teacher') {
+                getEl('teacher-required-hours-input').value = item.requiredHours || "";
+                getEl('teacher-hour-multiplier-input').value = item.hourMultiplier || "";
+                getEl('teacher-subjects-input').value = (item.subjects || []).join('، ');
             }
             if (type === 'class') {
                 getEl('class-field-input').value = item.field || "";
+                getEl('class-students-input').value = item.students || "";
+            }
+            if (type === 'room') {
+                getEl('room-type-input').value = item.type || "";
+                getEl('room-capacity-input').value = item.capacity || "";
             }
         }
 
         modal.style.display = 'flex';
     };
 
+    // The room select holds either a room id or `type:<room type>` for "any free room of this type".
+    const readLessonRoomChoice = () => {
+        const value = getEl('lesson-room-select').value;
+        return value.startsWith('type:')
+            ? { roomId: null, roomType: value.slice('type:'.length) }
+            : { roomId: value || null, roomType: null };
+    };
+
+    const readJointClassIds = (classId) => [...getEl('lesson-joint-classes-select').selectedOptions]
+        .map(o => o.value)
+        .filter(id => id !== classId);
+
     const handleFormSubmit = (e) => {
         e.preventDefault();
         const form = e.target;
@@ -1091,35 +2068,71 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         const dataArrayName = type === 'class' ? 'classes' : `${type}s`;
+        let droppedCount = 0;
 
         if (mode === 'add') {
             const newItem = { id: `${type[0]}${Date.now()}${Math.random()}`, name };
             if (type === 'lesson') {
                 newItem.teacherId = getEl('lesson-teacher-select').value;
                 newItem.classId = getEl('lesson-class-select').value;
-                newItem.roomId = getEl('lesson-room-select').value || null;
+                newItem.jointClassIds = readJointClassIds(newItem.classId);
+                Object.assign(newItem, readLessonRoomChoice());
                 newItem.periods = parseInt(getEl('lesson-periods-input').value) || 1;
+                newItem.sessions = parseInt(getEl('lesson-sessions-input').value) || 1;
+                newItem.weekPattern = getEl('lesson-week-pattern-select').value;
                 if (!newItem.teacherId || !newItem.classId) { showToast('لطفا کلاس و دبیر را انتخاب کنید.', 'error'); return; }
             }
+            if (type === 'teacher') {
+                newItem.requiredHours = parseFloat(getEl('teacher-required-hours-input').value) || null;
+                newItem.hourMultiplier = parseFloat(getEl('teacher-hour-multiplier-input').value) || null;
+                newItem.subjects = SchedulerCore.parseSubjects(getEl('teacher-subjects-input').value);
+            }
+            if (type === 'room') {
+                newItem.type = getEl('room-type-input').value.trim() || null;
+                newItem.capacity = parseInt(getEl('room-capacity-input').value) || null;
+            }
             if (type === 'class') {
                 newItem.field = getEl('class-field-input').value.trim() || 'عمومی';
+                newItem.students = parseInt(getEl('class-students-input').value) || null;
                 if (!state.schedule.A[newItem.id]) state.schedule.A[newItem.id] = {};
                 if (!state.schedule.B[newItem.id]) state.schedule.B[newItem.id] = {};
             }
+            recordHistory(`افزودن ${getPersianTypeName(type)} "${name}"`);
             state[dataArrayName].push(newItem);
             logChange(`${getPersianTypeName(type)} جدید "${name}" اضافه شد.`);
         } else {
             const item = state[dataArrayName].find(i => i.id === id);
             if (item) {
+                recordHistory(`ویرایش ${getPersianTypeName(type)} "${name}"`);
                 item.name = name;
                 if (type === 'lesson') {
                     item.teacherId = getEl('lesson-teacher-select').value;
-                    item.classId = getEl('lesson-class-select').value;
-                    item.roomId = getEl('lesson-room-select').value || null;
+                    Object.assign(item, readLessonRoomChoice());
                     item.periods = parseInt(getEl('lesson-periods-input').value) || 1;
+                    item.sessions = parseInt(getEl('lesson-sessions-input').value) || 1;
+                    item.weekPattern = getEl('lesson-week-pattern-select').value;
+                    // Placed copies have to follow the lesson into the rows of its new classes.
+                    const classId = getEl('lesson-class-select').value;
+                    const jointClassIds = readJointClassIds(classId);
+                    const sameIds = (a, b) => [...a].sort().join('|') === [...b].sort().join('|');
+                    if (classId !== item.classId || !sameIds(jointClassIds, item.jointClassIds || [])) {
+                        droppedCount = relinkLessonClasses(item.id, classId, jointClassIds);
+                    }
+                    // Teacher or room changes move the lesson's placed entries to other index buckets.
+                    invalidateSlotIndex();
+                }
+                if (type === 'teacher') {
+                    item.requiredHours = parseFloat(getEl('teacher-required-hours-input').value) || null;
+                    item.hourMultiplier = parseFloat(getEl('teacher-hour-multiplier-input').value) || null;
+                    item.subjects = SchedulerCore.parseSubjects(getEl('teacher-subjects-input').value);
+                }
+                if (type === 'room') {
+                    item.type = getEl('room-type-input').value.trim() || null;
+                    item.capacity = parseInt(getEl('room-capacity-input').value) || null;
                 }
                 if (type === 'class') {
                     item.field = getEl('class-field-input').value.trim() || 'عمومی';
+                    item.students = parseInt(getEl('class-students-input').value) || null;
                 }
                 logChange(`${getPersianTypeName(type)} "${name}" ویرایش شد.`);
             }
@@ -1130,7 +2143,11 @@ document.addEventListener('DOMContentLoaded', () => {
         if (getEl('settings-modal').style.display === 'flex') renderManagementLists();
         renderAll();
         form.closest('.modal').style.display = 'none';
-        showToast(`${getPersianTypeName(type)} با موفقیت ذخیره شد.`, 'success');
+        if (droppedCount > 0) {
+            showToast(`درس ذخیره شد، اما ${toPersianNumber(droppedCount)} جلسه از آن در ردیف کلاس‌های جدیدش جا نشد و به لیست دروس بازگشت.`, 'warning');
+        } else {
+            showToast(`${getPersianTypeName(type)} با موفقیت ذخیره شد.`, 'success');
+        }
     };
 
     // --- 10. Advanced Features & Handlers ---
@@ -1154,53 +2171,334 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 10 * 60 * 1000);
     };
 
-    const exportToExcel = () => {
+    // Load and overtime of every teacher for the accounting office, with the lessons behind it on a second sheet.
+    const exportLoadReport = () => {
+        if (state.teachers.length === 0) {
+            showToast('دبیری تعریف نشده است.', 'warning');
+            return;
+        }
         showLoading(true);
         try {
-            const days = getActiveDays();
-            const periods = 4;
-            const sortedClasses = state.classes.sort((a, b) => a.name.localeCompare(b.name));
+            const round = (hours) => Math.round(hours * 10) / 10;
+            const summary = [['کد پرسنلی', 'دبیر', 'ضریب ساعت', 'موظفی (ساعت)', 'برنامه هفته الف', 'چیده‌شده هفته الف', 'برنامه هفته ب', 'چیده‌شده هفته ب', 'میانگین هفتگی', 'کسری', 'اضافه‌کار', 'وضعیت']];
+            computeTeacherLoads().forEach(load => {
+                summary.push([
+                    load.teacher.id, load.teacher.name, load.multiplier, load.required || '',
+                    round(load.planned.A), round(load.placed.A), round(load.planned.B), round(load.placed.B), round(load.average),
+                    load.status === 'deficit' ? round(-load.balance) : 0,
+                    load.status === 'overtime' ? round(load.balance) : 0,
+                    LOAD_STATUS_TEXT[load.status],
+                ]);
+            });
 
-            const data = [];
-            const headerRow = ['کلاس'];
-            days.forEach(day => {
-                for (let p = 1; p <= periods; p++) {
-                    headerRow.push(`${day} - زنگ ${toPersianNumber(p)}`);
-                }
+            const placedCounts = getPlacedCountsByWeek();
+            const details = [['دبیر', 'درس', 'کلاس', 'زنگ هر جلسه', 'جلسه در هفته', 'الگوی هفته', 'جلسات چیده‌شده الف', 'جلسات چیده‌شده ب', 'ساعت هفته الف', 'ساعت هفته ب']];
+            [...state.lessons].sort((a, b) => (getTeacherById(a.teacherId)?.name || '').localeCompare(getTeacherById(b.teacherId)?.name || '') || a.name.localeCompare(b.name)).forEach(lesson => {
+                const multiplier = getTeacherHourMultiplier(lesson.teacherId);
+                const placedA = placedCounts.A.get(lesson.id) || 0;
+                const placedB = placedCounts.B.get(lesson.id) || 0;
+                details.push([
+                    getTeacherById(lesson.teacherId)?.name || '', cleanName(lesson.name), getLessonClassNames(lesson),
+                    lesson.periods, getLessonSessions(lesson), WEEK_PATTERN_TEXT[getLessonWeekPattern(lesson)],
+                    placedA, placedB, placedA * lesson.periods * multiplier, placedB * lesson.periods * multiplier,
+                ]);
             });
-            data.push(headerRow);
-
-            sortedClasses.forEach(c => {
-                const row = [cleanName(c.name)];
-                days.forEach(day => {
-                    for (let p = 1; p <= periods; p++) {
-                        const key = `${day}_${p}`;
-                        const slotContent = state.schedule[state.activeWeek]?.[c.id]?.[key];
-
-                        if (slotContent && slotContent.length > 0) {
-                            const cellText = slotContent.map(entry => {
-                                const lesson = state.lessons.find(l => l.id === entry.lessonId);
-                                const teacher = state.teachers.find(t => t.id === lesson?.teacherId);
-                                if (!lesson) return '';
-                                return entry.isStart ? `${cleanName(lesson.name)} (${teacher?.name || 'بی‌نام'})` : '';
-                            }).filter(Boolean).join(' | ');
-                            row.push(cellText);
-                        } else {
-                            row.push('');
-                        }
-                    }
-                });
-                data.push(row);
+
+            const workbook = XLSX.utils.book_new();
+            const summarySheet = XLSX.utils.aoa_to_sheet(summary);
+            summarySheet['!cols'] = summary[0].map((_, i) => ({ wch: i === 1 ? 25 : 15 }));
+            XLSX.utils.book_append_sheet(workbook, summarySheet, 'بار تدریس و اضافه‌کار');
+            const detailsSheet = XLSX.utils.aoa_to_sheet(details);
+            detailsSheet['!cols'] = details[0].map((_, i) => ({ wch: i < 3 ? 25 : 15 }));
+            XLSX.utils.book_append_sheet(workbook, detailsSheet, 'جزئیات دروس');
+
+            XLSX.writeFile(workbook, 'گزارش-بار-تدریس.xlsx');
+            showToast('گزارش بار تدریس با موفقیت ایجاد شد.', 'success');
+        } catch (err) {
+            console.error('Load report export error:', err);
+            showToast('خطا در ایجاد گزارش بار تدریس.', 'error');
+        } finally {
+            showLoading(false);
+        }
+    };
+
+    // --- Schedule comparison ---
+    // Either side of a comparison is the open project, another project or a backup file, each in week A or B.
+    let compareFiles = { before: null, after: null }; // { name, data } of the backup file picked for each side
+    let lastComparison = null; // { before, after, changes, unchanged } of the comparison shown in the compare modal
+
+    const formatSlotKey = (key) => {
+        if (!key) return '—';
+        const [day, period] = key.split('_');
+        return `${day} زنگ ${toPersianNumber(period)}`;
+    };
+
+    const resolveCompareSide = async (side) => {
+        const source = getEl(`compare-${side}-source`).value;
+        const week = getEl(`compare-${side}-week`).value;
+        let name, data;
+        if (source === 'current') {
+            name = getProjectName() || 'برنامه فعلی';
+            // A copy, so later edits don't show up under a comparison that was worked out before them.
+            data = JSON.parse(JSON.stringify(state));
+        } else if (source === 'file') {
+            if (!compareFiles[side]) return null;
+            ({ name, data } = compareFiles[side]);
+        } else {
+            const projectId = source.replace(/^project:/, '');
+            const record = await runProjectTask(() => getProjectRecord(projectId));
+            name = getProjectName(projectId);
+            data = record?.data ? SchedulerCore.normalizeState(JSON.parse(record.data)) : SchedulerCore.createDefaultState();
+        }
+        return { name: `${name} - هفته ${getWeekName(week)}`, data, week };
+    };
+
+    const handleCompareFile = (e) => {
+        const file = e.target.files[0];
+        const side = e.target.dataset.side;
+        e.target.value = '';
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const data = JSON.parse(event.target.result);
+                if (!SchedulerCore.isBackupData(data)) {
+                    showToast('فایل پشتیبان معتبر نیست.', 'error');
+                    return;
+                }
+                compareFiles[side] = { name: file.name, data: SchedulerCore.normalizeState(data) };
+                renderCompareSources();
+                getEl(`compare-${side}-source`).value = 'file';
+            } catch (error) {
+                console.error("Compare file error:", error);
+                showToast('خطا در خواندن فایل پشتیبان.', 'error');
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    const runComparison = async () => {
+        try {
+            const [before, after] = await Promise.all([resolveCompareSide('before'), resolveCompareSide('after')]);
+            if (!before || !after) {
+                showToast('ابتدا فایل پشتیبان مورد نظر را انتخاب کنید.', 'warning');
+                return;
+            }
+            const { changes, unchanged } = SchedulerCore.diffWeekSchedules(
+                { lessons: before.data.lessons, schedule: before.data.schedule[before.week] },
+                { lessons: after.data.lessons, schedule: after.data.schedule[after.week] }
+            );
+            lastComparison = { before, after, changes, unchanged };
+            renderComparison();
+        } catch (error) {
+            console.error("Compare error:", error);
+            showToast('خطا در مقایسه برنامه‌ها.', 'error');
+        }
+    };
+
+    // Teachers, lessons and classes are looked up in the newer schedule first, so renamed items show their new name.
+    const findCompared = (arrayName, id) =>
+        lastComparison.after.data[arrayName].find(item => item.id === id) || lastComparison.before.data[arrayName].find(item => item.id === id);
+
+    // Every change belongs to the teacher of the lesson, and a teacher swap to both teachers.
+    const groupChangesByTeacher = () => {
+        const groups = new Map();
+        lastComparison.changes.forEach(change => {
+            new Set([change.fromTeacherId, change.toTeacherId]).forEach(teacherId => {
+                if (!teacherId) return;
+                if (!groups.has(teacherId)) groups.set(teacherId, []);
+                groups.get(teacherId).push(change);
             });
+        });
+        return [...groups.entries()]
+            .map(([teacherId, changes]) => ({ teacherId, name: findCompared('teachers', teacherId)?.name || 'بی‌نام', changes }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    };
+
+    const describeTeacherSwap = (change) =>
+        `دبیر: ${findCompared('teachers', change.fromTeacherId)?.name || 'بی‌نام'} ← ${findCompared('teachers', change.toTeacherId)?.name || 'بی‌نام'}`;
+
+    const exportChangeNotice = () => {
+        if (!lastComparison || lastComparison.changes.length === 0) {
+            showToast('تغییری برای اعلام وجود ندارد.', 'warning');
+            return;
+        }
+        showLoading(true);
+        try {
+            const { before, after } = lastComparison;
+            const rows = [
+                [`اطلاعیه تغییرات برنامه: ${before.name} ← ${after.name}`],
+                [],
+                ['دبیر', 'درس', 'کلاس', 'تغییر', 'زمان قبلی', 'زمان جدید', 'توضیح'],
+            ];
+            groupChangesByTeacher().forEach(({ name, changes }) => changes.forEach(change => {
+                rows.push([
+                    name, cleanName(findCompared('lessons', change.lessonId)?.name), cleanName(findCompared('classes', change.classId)?.name),
+                    SchedulerCore.DIFF_TYPE_TEXT[change.type], formatSlotKey(change.from), formatSlotKey(change.to),
+                    change.type === 'teacher' ? describeTeacherSwap(change) : '',
+                ]);
+            }));
 
-            const worksheet = XLSX.utils.aoa_to_sheet(data);
             const workbook = XLSX.utils.book_new();
-            XLSX.utils.book_append_sheet(workbook, worksheet, "برنامه هفتگی");
+            const sheet = XLSX.utils.aoa_to_sheet(rows);
+            sheet['!cols'] = rows[2].map((_, i) => ({ wch: i < 3 || i === 6 ? 25 : 15 }));
+            XLSX.utils.book_append_sheet(workbook, sheet, 'اطلاعیه تغییرات');
+            XLSX.writeFile(workbook, 'اطلاعیه-تغییرات-برنامه.xlsx');
+            showToast('اطلاعیه تغییرات با موفقیت ایجاد شد.', 'success');
+        } catch (err) {
+            console.error('Change notice export error:', err);
+            showToast('خطا در ایجاد اطلاعیه تغییرات.', 'error');
+        } finally {
+            showLoading(false);
+        }
+    };
 
-            const colWidths = headerRow.map((_, i) => ({ wch: i === 0 ? 20 : 30 }));
-            worksheet['!cols'] = colWidths;
+    // --- Absences & substitutions ---
+    // A substitution record: { id, date, day, week, period, periods, lessonId, classId, absentTeacherId, substituteId, time };
+    // `date` is null when the absence was entered as a weekday rather than a calendar date.
+    let absenceQuery = null; // { teacherId, occasions: [{ date, day, week }] } of the absence shown in the substitute modal
+    const MAX_ABSENCE_DAYS = 60;
+
+    // The days an absence covers: the chosen weekday of the open week, or every school day between two dates,
+    // with weeks A and B alternating from the week of the first date (school weeks start on Saturday).
+    const getAbsenceOccasions = () => {
+        const from = getEl('absence-from-date').value;
+        if (!from) return [{ date: null, day: getEl('absence-day-select').value, week: state.activeWeek }];
+        const start = new Date(`${from}T00:00:00`);
+        const end = new Date(`${getEl('absence-to-date').value || from}T00:00:00`);
+        const firstWeek = getEl('absence-week-select').value;
+        const firstSaturday = new Date(start);
+        firstSaturday.setDate(start.getDate() - (start.getDay() + 1) % 7);
+        const occasions = [];
+        for (const date = new Date(start); date <= end && occasions.length < MAX_ABSENCE_DAYS; date.setDate(date.getDate() + 1)) {
+            const day = getDayOfDate(date);
+            if (!getActiveDays().includes(day)) continue;
+            const weeksPassed = Math.floor(Math.round((date - firstSaturday) / 86400000) / 7);
+            occasions.push({ date: date.toLocaleDateString('en-CA'), day, week: weeksPassed % 2 ? getOtherWeek(firstWeek) : firstWeek });
+        }
+        return occasions;
+    };
+
+    const formatOccasion = ({ date, day, week }) =>
+        `${day}${date ? ` ${new Date(`${date}T00:00:00`).toLocaleDateString('fa-IR')}` : ''} (هفته ${getWeekName(week)})`;
+
+    const isSameOccasion = (record, occasion) => record.date === occasion.date && record.day === occasion.day && record.week === occasion.week;
+    const findSubstitution = (occasion, session) =>
+        state.substitutions.find(s => isSameOccasion(s, occasion) && s.lessonId === session.lessonId && s.period === session.period);
+
+    // Slots of the occasion already given to substitutes, except the one of `session` itself.
+    const getSubstituteBusySlots = (occasion, session) => {
+        const busy = new Set();
+        state.substitutions.forEach(s => {
+            if (!isSameOccasion(s, occasion) || (s.lessonId === session.lessonId && s.period === session.period)) return;
+            for (let i = 0; i < s.periods; i++) busy.add(`${s.substituteId}|${s.day}_${s.period + i}`);
+        });
+        return busy;
+    };
+
+    const findAbsence = () => {
+        const teacherId = getEl('absence-teacher-select').value;
+        if (!teacherId) {
+            showToast('دبیر غایب را انتخاب کنید.', 'warning');
+            return;
+        }
+        const occasions = getAbsenceOccasions();
+        if (occasions.length === 0) {
+            showToast('در این بازه روز کاری وجود ندارد.', 'warning');
+            return;
+        }
+        absenceQuery = { teacherId, occasions };
+        renderAbsence();
+    };
+
+    const assignSubstitute = (select) => {
+        const occasion = absenceQuery.occasions[select.dataset.occasion];
+        const session = getAbsenceSessions(absenceQuery.teacherId, occasion.day, occasion.week)
+            .find(s => s.lessonId === select.dataset.lessonId && s.period === parseInt(select.dataset.period));
+        if (!session) return;
+        const lessonName = cleanName(getLessonById(session.lessonId)?.name);
+        const substitute = getTeacherById(select.value);
+
+        recordHistory(substitute ? `ثبت جانشین برای "${lessonName}"` : `حذف جانشین "${lessonName}"`);
+        state.substitutions = state.substitutions.filter(s => s !== findSubstitution(occasion, session));
+        if (substitute) {
+            state.substitutions.push({
+                id: `sub${Date.now()}${Math.random()}`,
+                date: occasion.date, day: occasion.day, week: occasion.week, period: session.period, periods: session.periods,
+                lessonId: session.lessonId, classId: session.classId, absentTeacherId: absenceQuery.teacherId, substituteId: substitute.id,
+                time: new Date().toISOString(),
+            });
+            logChange(`دبیر "${substitute.name}" جانشین "${getTeacherById(absenceQuery.teacherId)?.name}" در درس "${lessonName}" ${formatOccasion(occasion)} زنگ ${toPersianNumber(session.period)} شد.`);
+        } else {
+            logChange(`جانشین درس "${lessonName}" ${formatOccasion(occasion)} زنگ ${toPersianNumber(session.period)} حذف شد.`);
+        }
+        saveState();
+        renderAbsence();
+    };
 
-            XLSX.writeFile(workbook, `برنامه-هفتگی-${state.activeWeek}.xlsx`);
+    const deleteSubstitution = (id) => {
+        const record = state.substitutions.find(s => s.id === id);
+        if (!record) return;
+        recordHistory('حذف سابقه جانشینی');
+        state.substitutions = state.substitutions.filter(s => s.id !== id);
+        logChange(`سابقه جانشینی "${getTeacherById(record.substituteId)?.name || 'بی‌نام'}" در درس "${cleanName(getLessonById(record.lessonId)?.name)}" ${formatOccasion(record)} حذف شد.`);
+        saveState();
+        renderAbsence();
+    };
+
+    // One page per day with every substitution recorded for it, plus the absent teacher's sessions still uncovered.
+    const handlePrintSubstitutions = () => {
+        if (!absenceQuery) {
+            showToast('ابتدا غیبت دبیر را بررسی کنید.', 'warning');
+            return;
+        }
+        const sheets = absenceQuery.occasions.map(occasion => {
+            const rows = state.substitutions.filter(s => isSameOccasion(s, occasion)).map(s => ({ ...s, covered: true }));
+            getAbsenceSessions(absenceQuery.teacherId, occasion.day, occasion.week).forEach(session => {
+                if (!findSubstitution(occasion, session)) rows.push({ ...session, absentTeacherId: absenceQuery.teacherId, covered: false });
+            });
+            return { occasion, rows: rows.sort((a, b) => a.period - b.period) };
+        }).filter(sheet => sheet.rows.length > 0);
+        if (sheets.length === 0) {
+            showToast('در این روزها جلسه‌ای برای جانشینی وجود ندارد.', 'info');
+            return;
+        }
+
+        const printContainer = getEl('print-all-container');
+        const modal = getEl('substitute-modal');
+        printContainer.innerHTML = sheets.map(({ occasion, rows }) => `<div class="schedule-container substitution-sheet">
+                <h3>برگه جانشینی ${formatOccasion(occasion)}</h3>
+                <table class="schedule-table">
+                    <thead><tr><th>زنگ</th><th>کلاس</th><th>درس</th><th>دبیر غایب</th><th>دبیر جانشین</th><th>امضا</th></tr></thead>
+                    <tbody>${rows.map(row => `<tr>
+                        <td>${toPersianNumber(row.period)}<span class="period-time">${formatBellTime(getBellTime(row.day, row.period))}</span></td>
+                        <td>${cleanName(getClassById(row.classId)?.name)}</td>
+                        <td>${cleanName(getLessonById(row.lessonId)?.name)}</td>
+                        <td>${getTeacherById(row.absentTeacherId)?.name || 'بی‌نام'}</td>
+                        <td>${row.covered ? getTeacherById(row.substituteId)?.name || 'بی‌نام' : '—'}</td>
+                        <td></td>
+                    </tr>`).join('')}</tbody>
+                </table>
+            </div>`).join('');
+
+        modal.style.display = 'none';
+        DOMElements.body.classList.add('printing');
+        printContainer.classList.remove('hidden');
+        DOMElements.appContainer.classList.add('hidden');
+        setTimeout(() => {
+            window.print();
+            DOMElements.body.classList.remove('printing');
+            printContainer.classList.add('hidden');
+            printContainer.innerHTML = '';
+            DOMElements.appContainer.classList.remove('hidden');
+            modal.style.display = 'flex';
+        }, 200);
+    };
+
+    const exportToExcel = () => {
+        showLoading(true);
+        try {
+            XLSX.writeFile(core.buildScheduleWorkbook(XLSX), `برنامه-هفتگی-${state.activeWeek}.xlsx`);
             showToast('خروجی اکسل با موفقیت ایجاد شد.', 'success');
         } catch (err) {
             console.error('Excel export error:', err);
@@ -1211,7 +2509,7 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     const exportSchedule = async (type) => {
-        const elementToExport = getEl(state.activeView === 'full' ? 'full-school-view' : 'teacher-view').querySelector('#schedule-to-export');
+        const elementToExport = getViewElement(state.activeView).querySelector('#schedule-to-export');
         if (!elementToExport) {
             showToast('جدولی برای خروجی گرفتن وجود ندارد.', 'error');
             return;
@@ -1269,9 +2567,10 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 100);
     };
 
-    const handlePrintAllTeachers = async () => {
+    const handlePrintAll = async (type) => {
         const printContainer = getEl('print-all-container');
-        if (!printContainer) return;
+        const config = ENTITY_VIEWS[type];
+        if (!printContainer || !config) return;
 
         showLoading(true);
         getEl('settings-modal').style.display = 'none';
@@ -1279,16 +2578,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
         let content = '';
         const originalView = state.activeView;
-        const originalTeacher = DOMElements.teacherSelector.value;
+        const viewEl = getViewElement(type);
+        const selector = DOMElements[`${type}Selector`];
+        const originalSelection = selector.value;
 
-        DOMElements.fullSchoolViewEl.classList.remove('active');
-        DOMElements.teacherViewEl.classList.add('active');
+        switchView(type);
 
-        for (const teacher of state.teachers) {
-            renderTeacherSchedule(teacher.id);
+        for (const item of state[config.arrayName]) {
+            renderEntitySchedule(type, item.id);
             await new Promise(r => setTimeout(r, 20));
-            const scheduleHTML = DOMElements.teacherViewEl.innerHTML;
-            content += scheduleHTML;
+            content += viewEl.innerHTML;
         }
 
         printContainer.innerHTML = content;
@@ -1304,11 +2603,8 @@ document.addEventListener('DOMContentLoaded', () => {
             printContainer.classList.add('hidden');
             printContainer.innerHTML = '';
             DOMElements.appContainer.classList.remove('hidden');
+            selector.value = originalSelection;
             switchView(originalView);
-            if (originalView === 'teacher') {
-                DOMElements.teacherSelector.value = originalTeacher;
-                renderTeacherSchedule(originalTeacher);
-            }
         }, 200);
     };
 
@@ -1321,19 +2617,14 @@ document.addEventListener('DOMContentLoaded', () => {
             reader.onload = (event) => {
                 try {
                     const restoredState = JSON.parse(event.target.result);
-                    if (restoredState.teachers && restoredState.lessons && restoredState.classes && restoredState.schedule) {
-                        const tempState = {};
-                        setDefaultState.call({ state: tempState });
-
-                        state = {
-                            ...tempState,
-                            ...restoredState,
-                            settings: { ...tempState.settings, ...(restoredState.settings || {}) }
-                        };
+                    if (SchedulerCore.isBackupData(restoredState)) {
+                        recordHistory(`بازیابی از فایل "${file.name}"`);
+                        setDefaultState();
+                        state = { ...state, ...SchedulerCore.normalizeState(restoredState) };
 
                         logChange(`اطلاعات از فایل "${file.name}" بازیابی شد.`);
                         saveState();
-                        initializeApp();
+                        loadActiveProject();
                         showToast('اطلاعات با موفقیت بازیابی شد.', 'success');
                     } else {
                         showToast('فایل پشتیبان معتبر نیست.', 'error');
@@ -1349,13 +2640,14 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     const switchView = (viewName) => {
+        if (viewName !== 'full' && !ENTITY_VIEWS[viewName]) viewName = 'full';
         state.activeView = viewName;
         const isFull = viewName === 'full';
-        DOMElements.fullSchoolViewEl.classList.toggle('active', isFull);
-        DOMElements.teacherViewEl.classList.toggle('active', !isFull);
-        DOMElements.teacherSelectorContainer.classList.toggle('hidden', isFull);
-        getEl('full-view-btn').classList.toggle('active', isFull);
-        getEl('teacher-view-btn').classList.toggle('active', !isFull);
+        ['full', ...Object.keys(ENTITY_VIEWS)].forEach(view => {
+            getViewElement(view).classList.toggle('active', view === viewName);
+            getEl(`${view}-view-btn`).classList.toggle('active', view === viewName);
+            if (view !== 'full') getEl(`${view}-selector-container`).classList.toggle('hidden', view !== viewName);
+        });
         DOMElements.mergeToolBtn.classList.toggle('hidden', !isFull);
         if (state.isMergeMode) {
             toggleMergeMode();
@@ -1368,6 +2660,7 @@ document.addEventListener('DOMContentLoaded', () => {
         getEl('week-a-btn').classList.toggle('active', week === 'A');
         getEl('week-b-btn').classList.toggle('active', week === 'B');
         DOMElements.copyToWeekBBtn.classList.toggle('hidden', week !== 'B');
+        DOMElements.copyToWeekABtn.classList.toggle('hidden', week !== 'A');
         if (state.isMergeMode) {
             toggleMergeMode();
         }
@@ -1375,138 +2668,345 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     const refreshCurrentView = () => {
+        const staleRows = staleClassRows;
+        staleClassRows = null;
         if (state.activeView === 'full') {
-            renderFullSchedule();
+            renderFullSchedule(staleRows);
         } else {
-            renderTeacherSchedule(DOMElements.teacherSelector.value);
+            renderEntitySchedule(state.activeView, DOMElements[`${state.activeView}Selector`].value);
         }
     };
 
     // --- 11. Conflict, Constraints & Validation ---
-    const isSlotLocked = ({ classId, day, period, lessonId }) => {
-        const lesson = lessonId ? state.lessons.find(l => l.id === lessonId) : null;
-        const teacherId = lesson?.teacherId;
-        const periodNum = parseInt(period);
-
-        return state.constraints.unavailable.some(c =>
-            (c.type === 'class' && c.id === classId && c.day === day && c.period === periodNum) ||
-            (c.type === 'teacher' && c.id === teacherId && c.day === day && c.period === periodNum)
-        );
-    };
+    const PLACEMENT_STATUS_TEXT = {
+        free: 'این جایگاه آزاد است.',
+        class: 'این درس فقط در ردیف کلاس خودش قرار می‌گیرد.',
+        short: 'این فضا برای تعداد زنگ‌های درس کوتاه است.',
+        locked: 'این زمان برای کلاس یا دبیر قفل شده است.',
+        full: 'این جایگاه پر است.',
+        joint: 'این جایگاه در ردیف یکی از کلاس‌های درس مشترک پر یا قفل است.',
+        teacher: 'دبیر در این زمان در کلاس دیگری درس دارد.',
+        room: 'اتاق این درس در این زمان اشغال است.',
+        rules: 'قوانین حجم کار دبیر رعایت نمی‌شود.',
+        'same-day': 'جلسه دیگری از این درس در همین روز قرار دارد.',
+        swap: 'جابجایی دو درس',
+    };
+    // A joint lesson spans the same cells in every linked row, so each row needs a matching merge.
+    const JOINT_SPAN_TEXT = 'خانه‌های این زمان در ردیف یکی از کلاس‌های مشترک این درس به اندازه طول درس ادغام نشده‌اند.';
+
+    /**
+     * Judges dropping `lesson` on one drop zone, using the same checks as the drop itself.
+     * Returns { status, message }; `exclude` is the placement being moved, if any.
+     */
+    const getPlacementStatus = (lesson, dropZone, exclude = null) => {
+        const { classId, day } = dropZone.dataset;
+        const startPeriod = parseInt(dropZone.dataset.period);
+        const result = (status, message = PLACEMENT_STATUS_TEXT[status]) => ({ status, message });
 
-    const checkForConflict = (lesson, day, startPeriod, currentClassId) => {
-        if (!lesson) return null;
-        const conflicts = { teacher: [], room: [] };
+        if (!getLessonClassIds(lesson).includes(classId)) return result('class');
 
-        for (let i = 0; i < lesson.periods; i++) {
-            const period = startPeriod + i;
-            const key = `${day}_${period}`;
+        const colspan = parseInt(dropZone.getAttribute('colspan') || '1');
+        if (lesson.periods > colspan) {
+            return result('short', `این درس به ${toPersianNumber(lesson.periods)} زنگ نیاز دارد، اما این فضا فقط ${toPersianNumber(colspan)} زنگ است.`);
+        }
+        if (!fitsCellSpans(lesson, classId, dropZone.dataset.key)) return result('short', JOINT_SPAN_TEXT);
 
-            for (const classId in state.schedule[state.activeWeek]) {
-                if (classId === currentClassId) continue;
-                const slot = state.schedule[state.activeWeek][classId]?.[key] || [];
-                slot.forEach(entry => {
-                    const existingLesson = state.lessons.find(l => l.id === entry.lessonId);
-                    if (existingLesson) {
-                        if (lesson.teacherId && lesson.teacherId === existingLesson.teacherId) {
-                            conflicts.teacher.push(state.classes.find(c => c.id === classId)?.name || 'کلاس حذف شده');
-                        }
-                        if (lesson.roomId && lesson.roomId === existingLesson.roomId) {
-                            conflicts.room.push(state.classes.find(c => c.id === classId)?.name || 'کلاس حذف شده');
-                        }
-                    }
-                });
+        for (const linkedClassId of getLessonClassIds(lesson)) {
+            for (let i = 0; i < lesson.periods; i++) {
+                const period = startPeriod + i;
+                const slot = state.schedule[state.activeWeek]?.[linkedClassId]?.[`${day}_${period}`] || [];
+                const blocked = isSlotLocked({ classId: linkedClassId, day, period, lessonId: lesson.id }) ? 'locked' : slot.length >= 2 ? 'full' : null;
+                if (blocked) return result(linkedClassId === classId ? blocked : 'joint');
             }
         }
 
-        const teacherConflict = [...new Set(conflicts.teacher)];
-        const roomConflict = [...new Set(conflicts.room)];
-
-        if (teacherConflict.length > 0 || roomConflict.length > 0) {
-            return { teacher: teacherConflict, room: roomConflict };
+        const conflictDetails = checkForConflict(lesson, day, startPeriod, classId);
+        if (conflictDetails?.teacher.length > 0) {
+            return result('teacher', `دبیر در این زمان با کلاس ${conflictDetails.teacher.map(cleanName).join('، ')} تداخل دارد.`);
         }
-        return null;
+        if (conflictDetails?.room.length > 0) {
+            return result('room', `اتاق این درس در این زمان در اختیار کلاس ${conflictDetails.room.map(cleanName).join('، ')} است.`);
+        }
+
+        const ruleViolations = checkTeacherRules(lesson, day, exclude);
+        if (ruleViolations.length > 0) return result('rules', ruleViolations.join(' '));
+        if (hasSessionOnDay(lesson, day, exclude)) return result('same-day');
+
+        return result('free');
     };
 
     const runValidation = () => {
-        const totalLessons = state.lessons.length;
-        const totalHours = state.lessons.reduce((sum, l) => sum + l.periods, 0) * 2;
-        const scheduledLessonIds = new Set(
-            Object.values(state.schedule[state.activeWeek]).flatMap(Object.values).flatMap(slot => slot.map(l => l.lessonId))
-        );
-        const placedLessonsCount = scheduledLessonIds.size;
-        let placedHours = 0;
-        scheduledLessonIds.forEach(id => {
-            const lesson = state.lessons.find(l => l.id === id);
-            if (lesson) placedHours += (lesson.periods * 2);
-        });
+        const { totalLessons, placedLessons, totalHours, placedHours } = core.computeWeekStats();
 
         const statsHTML = `
             <div class="stat-item"><span>کل دروس:</span> <span>${toPersianNumber(totalLessons)}</span></div>
-            <div class="stat-item"><span>دروس جایابی شده:</span> <span>${toPersianNumber(placedLessonsCount)}</span></div>
-            <div class="stat-item"><span>دروس باقی‌مانده:</span> <span>${toPersianNumber(totalLessons - placedLessonsCount)}</span></div>
+            <div class="stat-item"><span>دروس جایابی شده:</span> <span>${toPersianNumber(placedLessons)}</span></div>
+            <div class="stat-item"><span>دروس باقی‌مانده:</span> <span>${toPersianNumber(totalLessons - placedLessons)}</span></div>
             <hr>
             <div class="stat-item"><span>کل ساعت‌ها:</span> <span>${toPersianNumber(totalHours)}</span></div>
             <div class="stat-item"><span>ساعت‌های جایابی شده:</span> <span>${toPersianNumber(placedHours)}</span></div>
             <div class="stat-item"><span>ساعت‌های باقی‌مانده:</span> <span>${toPersianNumber(totalHours - placedHours)}</span></div>
         `;
-        DOMElements.statsContainer.innerHTML = `<h4><i class="fas fa-chart-pie"></i> آمار کلی</h4>${statsHTML}`;
+        setMarkup(DOMElements.statsContainer, `<h4><i class="fas fa-chart-pie"></i> آمار کلی</h4>${statsHTML}`);
 
-        const conflicts = { teacher: [], room: [] };
-        const timeSlots = {};
-        const days = getActiveDays();
-        const periods = 4;
+        let conflictsHTML = '<h4><i class="fas fa-exclamation-triangle"></i> تداخل‌ها</h4>';
+        const issues = core.findScheduleIssues();
+        validationIssues = issues;
+        announceIssueChanges(issues);
+        if (!issues.some(issue => getIssueKey(issue) === expandedIssueKey)) expandedIssueKey = null;
+        if (issues.length === 0) {
+            conflictsHTML += '<p class="no-conflict-text">هیچ تداخلی یافت نشد.</p>';
+        } else {
+            conflictsHTML += issues.map((issue, index) => {
+                const expanded = getIssueKey(issue) === expandedIssueKey;
+                return `<div class="conflict-item${expanded ? ' expanded' : ''}" data-issue-index="${index}" title="نمایش در جدول و پیشنهاد راه‌حل">
+                    ${describeIssue(issue, text => `<strong>${text}</strong>`)}${expanded ? renderIssueFixes(issue) : ''}</div>`;
+            }).join('');
+        }
+        setMarkup(DOMElements.conflictsContainer, conflictsHTML);
+        renderQualityReport();
+    };
 
-        for (const day of days) {
-            for (let period = 1; period <= periods; period++) {
-                const key = `${day}_${period}`;
-                timeSlots[key] = [];
-                for (const classId in state.schedule[state.activeWeek]) {
-                    const slot = state.schedule[state.activeWeek][classId]?.[key] || [];
-                    slot.forEach(entry => {
-                        const lesson = state.lessons.find(l => l.id === entry.lessonId);
-                        if (lesson) {
-                            timeSlots[key].push({ teacherId: lesson.teacherId, classId, roomId: lesson.roomId });
-                        }
-                    });
-                }
+    const renderQualityReport = () => {
+        const container = DOMElements.qualityContainer;
+        if (!container) return;
+        const { score, teachers, subjects } = computeScheduleQuality();
+        const focusAttr = (cells) => cells.length > 0 ? `data-focus='${JSON.stringify(cells)}'` : '';
+        const scoreClass = score >= 80 ? 'good' : score >= 50 ? 'fair' : 'poor';
+
+        let html = `<h4><i class="fas fa-star-half-alt"></i> کیفیت برنامه <span class="quality-score ${scoreClass}">${toPersianNumber(score)} از ${toPersianNumber(100)}</span></h4>`;
+        if (teachers.length === 0) {
+            html += '<p class="empty-list-text">هنوز درسی در این هفته چیده نشده است.</p>';
+            setMarkup(container, html);
+            return;
+        }
+
+        html += `<details open><summary>دبیران</summary><table class="quality-table"><thead><tr><th>دبیر</th><th>روزهای حضور</th><th>زنگ خالی</th><th>روز تک‌زنگ</th></tr></thead><tbody>`;
+        html += teachers.map(t => `<tr class="quality-item ${t.gaps + t.singlePeriodDays > 0 ? 'has-issue' : ''}" ${focusAttr(t.cells)}>
+                <td>${t.name}</td><td>${toPersianNumber(t.days)}</td><td>${toPersianNumber(t.gaps)}</td><td>${toPersianNumber(t.singlePeriodDays)}</td></tr>`).join('');
+        html += '</tbody></table></details>';
+
+        if (subjects.length > 0) {
+            html += `<details><summary>پراکندگی دروس در هفته</summary><table class="quality-table"><thead><tr><th>کلاس</th><th>درس</th><th>روزها</th></tr></thead><tbody>`;
+            html += subjects.sort((a, b) => b.duplicates - a.duplicates).map(subject => {
+                const className = getClassById(subject.classId)?.name || '';
+                const daysText = getActiveDays().filter(day => subject.days[day])
+                    .map(day => subject.days[day] > 1 ? `${day} (${toPersianNumber(subject.days[day])})` : day).join('، ');
+                return `<tr class="quality-item ${subject.duplicates > 0 ? 'has-issue' : ''}" ${focusAttr(subject.cells)}>
+                    <td>${cleanName(className)}</td><td>${subject.name}</td><td>${daysText}</td></tr>`;
+            }).join('');
+            html += '</tbody></table></details>';
+        }
+        setMarkup(container, html);
+    };
+
+    // Switches to the full view and marks the given cells ({ classId, key }) so a report item can be found in the grid.
+    const focusCells = (cells) => {
+        if (state.activeView !== 'full') switchView('full');
+        document.querySelectorAll('.focus-cell').forEach(el => el.classList.remove('focus-cell'));
+        const elements = cells
+            .map(({ classId, key }) => DOMElements.fullSchoolViewEl.querySelector(`.drop-zone[data-class-id="${classId}"][data-key="${key}"]`))
+            .filter(Boolean);
+        void DOMElements.fullSchoolViewEl.offsetWidth; // restarts the flash on cells that were already marked
+        elements.forEach(el => el.classList.add('focus-cell'));
+        elements[0]?.scrollIntoView?.({ behavior: 'smooth', block: 'center', inline: 'center' });
+    };
+
+    // --- Conflict fixes ---
+    // Clicking a conflict shows its cells in the grid and lists fixes, each checked like a drop on that cell.
+    let validationIssues = [];
+    let announcedIssueKeys = null;
+    let expandedIssueKey = null;
+    let issueFixes = [];
+    const MAX_MOVE_FIXES = 3;
+    const MAX_SWAP_FIXES = 2;
+    const FIX_KIND_ORDER = { move: 0, swap: 1, unplace: 2 };
+
+    // Issues are listed afresh on every render, so an open conflict is remembered by what it is about.
+    const getIssueKey = (issue) => [issue.type, issue.ownerId || issue.teacherId || issue.lessonId, issue.classId, issue.day, issue.period].join('|');
+
+    // Reads out conflicts that are new since the last render, or that all of them are gone.
+    const announceIssueChanges = (issues) => {
+        const keys = new Set(issues.map(getIssueKey));
+        if (announcedIssueKeys) {
+            const newIssues = issues.filter(issue => !announcedIssueKeys.has(getIssueKey(issue)));
+            if (newIssues.length > 0) {
+                announce(`${toPersianNumber(newIssues.length)} تداخل جدید: ${newIssues.slice(0, 3).map(issue => describeIssue(issue)).join(' ')}`);
+            } else if (issues.length === 0 && announcedIssueKeys.size > 0) {
+                announce('همه تداخل‌ها برطرف شد.');
             }
         }
+        announcedIssueKeys = keys;
+    };
 
-        for (const key in timeSlots) {
-            const teacherCounts = {};
-            const roomCounts = {};
-            timeSlots[key].forEach(slot => {
-                teacherCounts[slot.teacherId] = (teacherCounts[slot.teacherId] || 0) + 1;
-                if (slot.roomId) {
-                    roomCounts[slot.roomId] = (roomCounts[slot.roomId] || 0) + 1;
-                }
-            });
-            const [day, period] = key.split('_');
-            for (const teacherId in teacherCounts) {
-                if (teacherCounts[teacherId] > 1) {
-                    const teacher = state.teachers.find(t => t.id === teacherId);
-                    const classesInvolved = timeSlots[key].filter(s => s.teacherId === teacherId).map(s => cleanName(state.classes.find(c => c.id === s.classId)?.name || 'نامشخص'));
-                    conflicts.teacher.push(`تداخل دبیر <strong>${teacher?.name || '؟'}</strong> روز ${day} زنگ ${toPersianNumber(period)} در کلاس‌های: ${[...new Set(classesInvolved)].join(', ')}`);
-                }
+    const getDropZone = (classId, key) => DOMElements.fullSchoolViewEl.querySelector(`.drop-zone[data-class-id="${classId}"][data-key="${key}"]`);
+
+    // The start of the placement of `lessonId` that covers `key` in the lesson's own class row.
+    const getPlacementStart = (lessonId, key) => {
+        const classId = getLessonById(lessonId)?.classId;
+        const [day, periodStr] = key.split('_');
+        for (let period = parseInt(periodStr); period >= 1; period--) {
+            const entry = state.schedule[state.activeWeek][classId]?.[`${day}_${period}`]?.find(e => e.lessonId === lessonId);
+            if (!entry) return null;
+            if (entry.isStart) return { classId, lessonId, key: `${day}_${period}` };
+        }
+        return null;
+    };
+
+    const getLessonPlacements = (lessonId, day = null) => {
+        const classId = getLessonById(lessonId)?.classId;
+        return Object.entries(state.schedule[state.activeWeek][classId] || {})
+            .filter(([key, slot]) => (!day || key.split('_')[0] === day) && slot.some(e => e.lessonId === lessonId && e.isStart))
+            .map(([key]) => ({ classId, lessonId, key }));
+    };
+
+    const getTeacherPlacements = (teacherId, day) =>
+        state.lessons.filter(l => l.teacherId === teacherId).flatMap(l => getLessonPlacements(l.id, day));
+
+    // The placements ({ classId, lessonId, key }) an issue is about; moving any one of them may resolve it.
+    const getIssuePlacements = (issue) => {
+        switch (issue.type) {
+            case 'teacher':
+            case 'room': {
+                const slots = issue.type === 'teacher' ? core.getTeacherSlots(issue.ownerId) : core.getRoomSlots(issue.ownerId);
+                const lessonIds = new Set((slots.get(`${issue.day}_${issue.period}`) || []).map(record => record.lessonId));
+                return [...lessonIds].map(lessonId => getPlacementStart(lessonId, `${issue.day}_${issue.period}`)).filter(Boolean);
+            }
+            case 'dayOff':
+            case 'maxDailyPeriods':
+                return getTeacherPlacements(issue.teacherId, issue.day);
+            case 'maxDays': {
+                // Clearing the lightest day takes the fewest moves.
+                const load = core.getTeacherDayLoad(issue.teacherId);
+                const lightestDay = getActiveDays().filter(day => load[day] > 0).sort((a, b) => load[a] - load[b])[0];
+                return lightestDay ? getTeacherPlacements(issue.teacherId, lightestDay) : [];
             }
-            for (const roomId in roomCounts) {
-                if (roomCounts[roomId] > 1) {
-                    const room = state.rooms.find(r => r.id === roomId);
-                    const classesInvolved = timeSlots[key].filter(s => s.roomId === roomId).map(s => cleanName(state.classes.find(c => c.id === s.classId)?.name || 'نامشخص'));
-                    conflicts.room.push(`تداخل اتاق <strong>${room?.name || '؟'}</strong> روز ${day} زنگ ${toPersianNumber(period)} در کلاس‌های: ${[...new Set(classesInvolved)].join(', ')}`);
+            case 'sameDay':
+                return getLessonPlacements(issue.lessonId, issue.day);
+            case 'wrongWeek':
+            case 'extraSessions':
+                return getLessonPlacements(issue.lessonId);
+            case 'roomShortage':
+                return [{ classId: issue.classId, lessonId: issue.lessonId, key: `${issue.day}_${issue.period}` }];
+            default:
+                return [];
+        }
+    };
+
+    // Whether a room of the lesson's type, large enough for its classes, is free for the whole block.
+    const hasFreeRoomFor = (lesson, day, startPeriod) => {
+        const students = getLessonClassIds(lesson).reduce((sum, classId) => sum + (getClassById(classId)?.students || 0), 0);
+        return state.rooms.some(room => room.type === lesson.roomType && (!room.capacity || !students || room.capacity >= students) &&
+            Array.from({ length: lesson.periods }, (_, i) => `${day}_${startPeriod + i}`)
+                .every(key => (core.getRoomSlots(room.id).get(key) || []).every(record => record.lessonId === lesson.id)));
+    };
+
+    /**
+     * Ranked fixes for one issue: moving a placement to a free cell of its row (same day and nearest period first),
+     * swapping it with another lesson of the class, or returning it to the lessons list.
+     * Moves and swaps only use cells that pass every check a drop would make, so none of them needs a confirmation.
+     */
+    const computeIssueFixes = (issue) => {
+        const days = getActiveDays();
+        // Issues about a day are only fixed by leaving that day; sessions in the wrong week can only go back to the list.
+        const mustLeaveDay = ['dayOff', 'maxDailyPeriods', 'maxDays', 'sameDay'].includes(issue.type);
+        const canMove = !['wrongWeek', 'extraSessions'].includes(issue.type);
+        const fixes = [];
+
+        getIssuePlacements(issue).forEach(placement => {
+            const lesson = getLessonById(placement.lessonId);
+            if (!lesson) return;
+            const lessonName = cleanName(lesson.name);
+            const className = cleanName(getClassById(placement.classId)?.name || '');
+            const [originDay, originPeriodStr] = placement.key.split('_');
+            const originPeriod = parseInt(originPeriodStr);
+            const origin = { classId: placement.classId, lessonId: lesson.id, startKey: placement.key };
+            const pinned = isPlacementPinned(placement.classId, lesson.id, placement.key);
+            // Empty cells first, then the same day, then the nearest day and period.
+            const cost = (zone) => {
+                const { day, key } = zone.dataset;
+                const occupied = (state.schedule[state.activeWeek][placement.classId]?.[key] || []).length > 0;
+                return (occupied ? 100 : 0) + (day === originDay ? 0 : 10 * (1 + Math.abs(days.indexOf(day) - days.indexOf(originDay)))) +
+                    Math.abs(parseInt(zone.dataset.period) - originPeriod);
+            };
+
+            if (canMove && !pinned) {
+                const zones = [...DOMElements.fullSchoolViewEl.querySelectorAll(`.drop-zone[data-class-id="${placement.classId}"]`)]
+                    .filter(zone => zone.dataset.key !== placement.key && !(mustLeaveDay && zone.dataset.day === originDay));
+
+                zones.filter(zone => getPlacementStatus(lesson, zone, origin).status === 'free' &&
+                        (issue.type !== 'roomShortage' || hasFreeRoomFor(lesson, zone.dataset.day, parseInt(zone.dataset.period))))
+                    .map(zone => ({ zone, cost: cost(zone) }))
+                    .sort((a, b) => a.cost - b.cost)
+                    .slice(0, MAX_MOVE_FIXES)
+                    .forEach(({ zone, cost }) => fixes.push({
+                        kind: 'move', placement, cost, to: { classId: placement.classId, day: zone.dataset.day, startPeriod: parseInt(zone.dataset.period) },
+                        label: `انتقال «${lessonName}» (${className}) به ${zone.dataset.day} زنگ ${toPersianNumber(zone.dataset.period)}`,
+                    }));
+
+                // Swaps need the lesson and its partner to stay in one row, like an Alt-drop.
+                if (!lesson.jointClassIds?.length && issue.type !== 'roomShortage') {
+                    zones.flatMap(zone => (state.schedule[state.activeWeek][placement.classId]?.[zone.dataset.key] || [])
+                            .filter(e => e.isStart && e.lessonId !== lesson.id && !e.pinned)
+                            .map(e => ({ zone, target: getLessonById(e.lessonId) })))
+                        .filter(({ zone, target }) => {
+                            if (!target || target.jointClassIds?.length) return false;
+                            const swap = checkSwap(lesson, target, zone, placement.key);
+                            return !swap.blocked && swap.warnings.length === 0;
+                        })
+                        .map(({ zone, target }) => ({ zone, target, cost: cost(zone) }))
+                        .sort((a, b) => a.cost - b.cost)
+                        .slice(0, MAX_SWAP_FIXES)
+                        .forEach(({ zone, target, cost }) => fixes.push({
+                            kind: 'swap', placement, cost, target, targetKey: zone.dataset.key,
+                            label: `جابجایی «${lessonName}» (${className}) با «${cleanName(target.name)}» (${zone.dataset.day} زنگ ${toPersianNumber(zone.dataset.period)})`,
+                        }));
                 }
             }
+
+            fixes.push({ kind: 'unplace', placement, cost: 0, label: `بازگرداندن «${lessonName}» (${className}، ${originDay} زنگ ${toPersianNumber(originPeriod)}) به لیست دروس` });
+        });
+
+        return fixes.sort((a, b) => FIX_KIND_ORDER[a.kind] - FIX_KIND_ORDER[b.kind] || a.cost - b.cost);
+    };
+
+    const FIX_ICONS = { move: 'fa-arrows-alt', swap: 'fa-exchange-alt', unplace: 'fa-undo' };
+
+    const renderIssueFixes = (issue) => {
+        // The fixes check cells of the full view's grid, which only exists while that view is shown.
+        issueFixes = state.activeView === 'full' && !state.isMergeMode ? computeIssueFixes(issue) : [];
+        if (issueFixes.length === 0) return '<p class="conflict-fixes-empty">راه‌حل پیشنهادی یافت نشد.</p>';
+        return `<div class="conflict-fixes">${issueFixes.map((fix, index) => `
+            <button class="conflict-fix-btn" data-fix-index="${index}"><i class="fas ${FIX_ICONS[fix.kind]}"></i> ${fix.label}</button>`).join('')}</div>`;
+    };
+
+    // Opens a conflict: its cells flash in the grid and its fixes are listed under it. Clicking it again closes it.
+    const toggleIssue = (issue) => {
+        const key = getIssueKey(issue);
+        if (key === expandedIssueKey) {
+            expandedIssueKey = null;
+            runValidation();
+            return;
         }
+        expandedIssueKey = key;
+        const cells = getIssuePlacements(issue).flatMap(placement =>
+            getLessonClassIds(getLessonById(placement.lessonId)).map(classId => ({ classId, key: placement.key })));
+        focusCells(cells);
+        runValidation();
+    };
 
-        let conflictsHTML = '<h4><i class="fas fa-exclamation-triangle"></i> تداخل‌ها</h4>';
-        const allConflicts = [...new Set(conflicts.teacher), ...new Set(conflicts.room)];
-        if (allConflicts.length === 0) {
-            conflictsHTML += '<p class="no-conflict-text">هیچ تداخلی یافت نشد.</p>';
+    const applyIssueFix = async (fix) => {
+        if (!fix) return;
+        const lesson = getLessonById(fix.placement.lessonId);
+        if (!lesson) return;
+        if (fix.kind === 'move') {
+            moveLessonTo(lesson, { classId: fix.placement.classId, key: fix.placement.key }, fix.to);
+        } else if (fix.kind === 'swap') {
+            const zone = getDropZone(fix.placement.classId, fix.targetKey);
+            if (zone) await swapLessons({ originKey: fix.placement.key }, lesson, fix.target, zone);
         } else {
-            conflictsHTML += allConflicts.map(c => `<div class="conflict-item">${c}</div>`).join('');
+            returnLessonToList(fix.placement.classId, lesson.id, fix.placement.key);
         }
-        DOMElements.conflictsContainer.innerHTML = conflictsHTML;
     };
 
     // --- 12. Cell Merging & Highlighting Logic ---
@@ -1567,7 +3067,9 @@ document.addEventListener('DOMContentLoaded', () => {
             if (await showConfirm('جداسازی زنگ‌ها', 'آیا این بخش از حالت ادغام خارج شود؟')) {
                 const index = state.merges[state.activeWeek].indexOf(merge);
                 if (index > -1) {
+                    recordHistory('لغو ادغام زنگ‌ها');
                     state.merges[state.activeWeek].splice(index, 1);
+                    markRowsStale([merge.classId]);
                     logChange(`ادغام در کلاس "${cleanName(state.classes.find(c=>c.id===merge.classId)?.name)}" روز ${merge.day} لغو شد.`);
                     saveState();
                     refreshCurrentView();
@@ -1586,12 +3088,14 @@ document.addEventListener('DOMContentLoaded', () => {
             const first = state.mergeSelection[0];
             const count = state.mergeSelection.length;
             if (await showConfirm('ادغام زنگ‌ها', `آیا ${toPersianNumber(count)} زنگ انتخاب شده با هم ادغام شوند؟`)) {
+                recordHistory('ادغام زنگ‌ها');
                 state.merges[state.activeWeek].push({
                     classId: first.classId,
                     day: first.day,
                     startPeriod: first.period,
                     count: count
                 });
+                markRowsStale([first.classId]);
                 logChange(`${toPersianNumber(count)} زنگ در کلاس "${cleanName(state.classes.find(c=>c.id===first.classId)?.name)}" روز ${first.day} ادغام شد.`);
                 saveState();
                 refreshCurrentView();
@@ -1625,6 +3129,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const alreadyExists = state.activeHighlights.some(h => h.type === type && h.id === id);
         if (!alreadyExists) {
             state.activeHighlights.push({ type, id });
+            markHighlightRowsStale({ type, id });
             saveState();
             refreshCurrentView();
             renderActiveHighlights();
@@ -1634,12 +3139,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const removeHighlight = (type, id) => {
         state.activeHighlights = state.activeHighlights.filter(h => !(h.type === type && h.id === id));
+        markHighlightRowsStale({ type, id });
         saveState();
         refreshCurrentView();
         renderActiveHighlights();
     };
 
     const clearAllHighlights = () => {
+        state.activeHighlights.forEach(markHighlightRowsStale);
         state.activeHighlights = [];
         saveState();
         refreshCurrentView();
@@ -1671,76 +3178,188 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     };
 
-    const autoSchedule = async () => {
-        showLoading(true);
-        await new Promise(resolve => setTimeout(resolve, 50));
+    // --- 13. Automatic Scheduling Engine ---
+    // The search itself lives in scheduler-engine.js. It runs inside scheduler-worker.js so the page stays responsive,
+    // and on the main thread where workers can't be started (e.g. index.html opened straight from disk).
+    let autoScheduleRun = null; // { promise, cancel } while a search is running
+    let pendingAutoSchedule = null; // a finished result waiting to be applied or discarded
+
+    const openAutoScheduleModal = () => {
+        const seedInput = getEl('auto-schedule-seed-input');
+        seedInput.value = state.settings.autoScheduleSeed || Math.floor(Math.random() * 100000);
+        pendingAutoSchedule = null;
+        getEl('auto-schedule-report').innerHTML = '';
+        getEl('auto-schedule-modal').style.display = 'flex';
+    };
+
+    // Resolves to the engine's result, or to null when cancelled.
+    const runSchedulerEngine = (input, options, onProgress) => {
+        let worker = null;
+        let finish = null;
+        const runOnMainThread = (resolve, reject) => {
+            // Let the spinner paint before the page blocks on the search.
+            showLoading(true);
+            setTimeout(() => {
+                try {
+                    resolve(SchedulerEngine.solveWeekSchedule(input, options));
+                } catch (err) {
+                    reject(err);
+                } finally {
+                    showLoading(false);
+                }
+            }, 50);
+        };
 
-        const scheduledLessonIds = new Set(
-            Object.values(state.schedule[state.activeWeek]).flatMap(Object.values).flatMap(slot => slot.map(l => l.lessonId))
-        );
-        const unplacedLessons = state.lessons.filter(lesson => !scheduledLessonIds.has(lesson.id));
-        let placedCount = 0;
-        const days = getActiveDays();
-        const periods = 4;
+        const promise = new Promise((resolve, reject) => {
+            finish = resolve;
+            try {
+                worker = new Worker('scheduler-worker.js');
+            } catch (err) {
+                console.warn('Web Worker unavailable, scheduling on the main thread:', err);
+                runOnMainThread(resolve, reject);
+                return;
+            }
+            let started = false;
+            worker.onmessage = ({ data }) => {
+                started = true;
+                if (data.type === 'progress') {
+                    onProgress(data);
+                } else if (data.type === 'result') {
+                    worker.terminate();
+                    resolve(data.result);
+                } else if (data.type === 'error') {
+                    worker.terminate();
+                    reject(new Error(data.message));
+                }
+            };
+            worker.onerror = (e) => {
+                e.preventDefault();
+                worker.terminate();
+                if (started) {
+                    reject(new Error(e.message));
+                    return;
+                }
+                console.warn('Web Worker failed to start, scheduling on the main thread:', e.message);
+                worker = null;
+                runOnMainThread(resolve, reject);
+            };
+            worker.postMessage({ input, options });
+        });
 
-        for (const lesson of unplacedLessons) {
-            let isPlaced = false;
-            for (const day of days) {
-                for (let period = 1; period <= periods; period++) {
-                    const colspan = state.merges[state.activeWeek]?.find(m => m.classId === lesson.classId && m.day === day && m.startPeriod === period)?.count || 1;
-                    if (lesson.periods > colspan) continue;
-
-                    let canPlace = true;
-                    for (let i = 0; i < lesson.periods; i++) {
-                        const currentPeriod = period + i;
-                        const key = `${day}_${currentPeriod}`;
-                        const slotContent = state.schedule[state.activeWeek]?.[lesson.classId]?.[key] || [];
-                        if (isSlotLocked({ classId: lesson.classId, day, period: currentPeriod, lessonId: lesson.id }) || checkForConflict(lesson, day, period, lesson.classId) || slotContent.length > 0) {
-                            canPlace = false;
-                            break;
-                        }
-                    }
+        return {
+            promise,
+            cancel: () => {
+                worker?.terminate();
+                finish(null);
+            },
+        };
+    };
 
-                    if (canPlace) {
-                        placeLessonInSchedule(lesson.classId, day, period, lesson);
-                        placedCount++;
-                        isPlaced = true;
-                        break;
-                    }
-                }
-                if (isPlaced) break;
-            }
-        }
+    const setAutoScheduleRunning = (isRunning) => {
+        getEl('auto-schedule-progress').classList.toggle('hidden', !isRunning);
+        getEl('run-auto-schedule-btn').disabled = isRunning;
+        if (isRunning) getEl('auto-schedule-report').innerHTML = '';
+    };
 
-        showLoading(false);
-        if (placedCount > 0) {
-            logChange(`${toPersianNumber(placedCount)} درس به صورت خودکار چیده شد.`);
-            saveState();
-            renderAll();
-            showToast(`${toPersianNumber(placedCount)} درس با موفقیت در برنامه قرار گرفت.`, 'success');
+    const renderAutoScheduleProgress = ({ placed, total }) => {
+        getEl('auto-schedule-progress-bar').style.width = `${total ? (placed / total) * 100 : 0}%`;
+        getEl('auto-schedule-progress-text').textContent = `${toPersianNumber(placed)} از ${toPersianNumber(total)} جلسه چیده شد...`;
+    };
+
+    const renderAutoScheduleReport = (pending) => {
+        const container = getEl('auto-schedule-report');
+        if (!container) return;
+        const { result, seed, week } = pending;
+        const currentScore = computeScheduleQuality(week).score;
+        const previewScore = computeScheduleQuality(week, buildAutoSchedulePreview(pending)).score;
+        let html = `<div class="stat-item"><span>جلسات چیده شده:</span> <span>${toPersianNumber(result.placements.length)}</span></div>
+            <div class="stat-item"><span>جلسات باقی‌مانده:</span> <span>${toPersianNumber(result.unplaced.length)}</span></div>
+            <div class="stat-item"><span>امتیاز کیفیت (فعلی ← پس از اعمال):</span> <span>${toPersianNumber(currentScore)} ← ${toPersianNumber(previewScore)}</span></div>
+            <div class="stat-item"><span>عدد شروع (Seed):</span> <span>${toPersianNumber(seed)}</span></div>`;
+        if (result.unplaced.length > 0) {
+            html += '<h4>دروس جایابی نشده</h4>';
+            html += result.unplaced.map(({ lessonId, reason }) => {
+                const lesson = getLessonById(lessonId);
+                const className = getClassById(lesson?.classId)?.name || '';
+                return `<div class="conflict-item"><strong>${cleanName(lesson?.name)}</strong> (${cleanName(className)}): ${UNPLACED_REASON_TEXT[reason]}</div>`;
+            }).join('');
         } else {
-            showToast('هیچ جای خالی مناسبی برای دروس باقی‌مانده یافت نشد.', 'warning');
+            html += '<p class="no-conflict-text">همه دروس با موفقیت جایابی شدند.</p>';
         }
+        html += `<div class="confirm-buttons">
+                <button id="apply-auto-schedule-btn" class="form-submit-btn"><i class="fas fa-check"></i> اعمال در هفته ${getWeekName(week)}</button>
+                <button id="discard-auto-schedule-btn" class="form-submit-btn secondary">کنار گذاشتن</button>
+            </div>`;
+        container.innerHTML = html;
     };
 
-    // --- 13. Final Setup & Initialization ---
-    const assignAllColors = () => {
-        if (state.lessons) {
-            state.lessons.forEach(lesson => {
-                if (!state.lessonColors[lesson.id]) {
-                    state.lessonColors[lesson.id] = generateColorFromString(lesson.name + lesson.teacherId);
-                }
-            });
+    const autoSchedule = async () => {
+        if (autoScheduleRun) return;
+        const seed = parseInt(getEl('auto-schedule-seed-input').value) || 1;
+        const moveAutoPlaced = getEl('auto-schedule-move-toggle').checked;
+        const week = state.activeWeek;
+        // postMessage hands the worker its own serialized copy of this input. The same data serialized here is what the
+        // result gets checked against before it is applied: edits made while the search runs, undo included, void it.
+        const input = buildAutoScheduleInput(week);
+        const baseline = JSON.stringify(input);
+
+        pendingAutoSchedule = null;
+        setAutoScheduleRunning(true);
+        renderAutoScheduleProgress({ placed: 0, total: 0 });
+        autoScheduleRun = runSchedulerEngine(input, { seed, moveAutoPlaced }, renderAutoScheduleProgress);
+        let result = null;
+        try {
+            result = await autoScheduleRun.promise;
+        } catch (err) {
+            console.error('Auto schedule error:', err);
+            showToast('خطا در اجرای چیدمان خودکار.', 'error');
+        } finally {
+            autoScheduleRun = null;
+            setAutoScheduleRunning(false);
         }
-        if (state.classes) {
-            state.classes.forEach(c => {
-                if (c.field && !state.fieldColors[c.field]) {
-                    state.fieldColors[c.field] = generateColorFromString(c.field);
-                }
-            });
+        if (!result) return;
+
+        pendingAutoSchedule = { week, seed, moveAutoPlaced, result, baseline };
+        renderAutoScheduleReport(pendingAutoSchedule);
+    };
+
+    const cancelAutoSchedule = () => {
+        if (!autoScheduleRun) return;
+        autoScheduleRun.cancel();
+        showToast('چیدمان خودکار لغو شد.', 'info');
+    };
+
+    const discardAutoSchedule = () => {
+        pendingAutoSchedule = null;
+        getEl('auto-schedule-report').innerHTML = '';
+    };
+
+    const applyAutoSchedule = () => {
+        const pending = pendingAutoSchedule;
+        if (!pending) return;
+        // The input covers the week's placements and merges, the lessons, rooms and class sizes, and the locks and teacher rules.
+        if (JSON.stringify(buildAutoScheduleInput(pending.week)) !== pending.baseline) {
+            showToast('برنامه یا داده‌های این هفته پس از شروع چیدمان تغییر کرده است. لطفاً چیدمان را دوباره اجرا کنید.', 'error');
+            discardAutoSchedule();
+            return;
+        }
+        const { week, seed, result } = pending;
+        recordHistory('چیدمان خودکار');
+        state.schedule[week] = buildAutoSchedulePreview(pending);
+        state.settings.autoScheduleSeed = seed;
+        pendingAutoSchedule = null;
+        logChange(`چیدمان خودکار (عدد شروع ${toPersianNumber(seed)}): ${toPersianNumber(result.placements.length)} جلسه چیده شد و ${toPersianNumber(result.unplaced.length)} جلسه باقی ماند.`);
+        saveState();
+        renderAll();
+        getEl('auto-schedule-modal').style.display = 'none';
+        if (result.unplaced.length === 0) {
+            showToast(`${toPersianNumber(result.placements.length)} جلسه درس با موفقیت در برنامه قرار گرفت.`, 'success');
+        } else {
+            showToast(`${toPersianNumber(result.unplaced.length)} جلسه درس جایابی نشد. برای جزئیات، چیدمان را با همین عدد شروع دوباره اجرا کنید.`, 'warning');
         }
     };
 
+    // --- 14. Final Setup & Initialization ---
     const renderManagementLists = () => {
         const configs = {
             'teachers-management': { data: state.teachers, type: 'teacher', icon: 'fa-chalkboard-teacher', title: 'دبیران' },
@@ -1757,6 +3376,232 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    const renderProjectSelector = () => {
+        getEl('project-selector-container').classList.toggle('hidden', !projectsDB);
+        if (!projectsDB) return;
+        const selector = getEl('project-selector');
+        setMarkup(selector, projects.map(p => `<option value="${p.id}">${p.name}</option>`).join(''));
+        selector.value = activeProjectId;
+    };
+
+    const openProjectsModal = () => {
+        renderProjectsList();
+        getEl('new-project-name-input').value = '';
+        getEl('projects-modal').style.display = 'flex';
+    };
+
+    const renderProjectsList = () => {
+        const listEl = getEl('projects-list');
+        if (!listEl) return;
+        listEl.innerHTML = projects.map(project => {
+            const isActive = project.id === activeProjectId;
+            const updatedAt = new Date(project.updatedAt).toLocaleString('fa-IR', { dateStyle: 'short', timeStyle: 'short' });
+            return `<div class="list-item project-item${isActive ? ' active' : ''}" data-project-id="${project.id}">
+                <div>
+                    <input type="text" class="project-name-input" value="${project.name.replace(/"/g, '&quot;')}" title="تغییر نام پروژه" required>
+                    <div class="room-name">${isActive ? 'پروژه باز' : `آخرین تغییر: ${updatedAt}`}</div>
+                </div>
+                <div class="item-controls">
+                    ${isActive ? '' : '<button class="open-project-btn" title="باز کردن پروژه"><i class="fas fa-folder-open"></i></button>'}
+                    <button class="duplicate-project-btn" title="ساخت نسخه پیش‌نویس"><i class="fas fa-clone"></i></button>
+                    <button class="delete-project-btn" title="حذف پروژه"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>`;
+        }).join('');
+    };
+
+    const openCompareModal = () => {
+        renderCompareSources();
+        if (!lastComparison) {
+            getEl('compare-before-week').value = 'A';
+            getEl('compare-after-week').value = 'B';
+        }
+        renderComparison();
+        getEl('compare-modal').style.display = 'flex';
+    };
+
+    const renderCompareSources = () => {
+        ['before', 'after'].forEach(side => {
+            const select = getEl(`compare-${side}-source`);
+            const previous = select.value || 'current';
+            const fileName = compareFiles[side]?.name;
+            select.innerHTML = [
+                `<option value="current">${projectsDB ? `پروژه باز: ${getProjectName()}` : 'برنامه فعلی'}</option>`,
+                ...projects.filter(p => p.id !== activeProjectId).map(p => `<option value="project:${p.id}">پروژه: ${p.name}</option>`),
+                `<option value="file">${fileName ? `فایل: ${fileName}` : 'فایل پشتیبان...'}</option>`,
+            ].join('');
+            select.value = [...select.options].some(option => option.value === previous) ? previous : 'current';
+        });
+    };
+
+    const renderComparison = () => {
+        const summaryEl = getEl('compare-summary');
+        const gridEl = getEl('compare-schedule');
+        const teachersEl = getEl('compare-teacher-changes');
+        getEl('export-change-notice-btn').disabled = !lastComparison?.changes.length;
+        if (!lastComparison) {
+            summaryEl.innerHTML = '';
+            gridEl.innerHTML = '';
+            teachersEl.innerHTML = '';
+            return;
+        }
+
+        const { before, after, changes, unchanged } = lastComparison;
+        const counts = Object.fromEntries(Object.keys(SchedulerCore.DIFF_TYPE_TEXT).map(type => [type, changes.filter(c => c.type === type).length]));
+        summaryEl.innerHTML = `<p><strong>${before.name}</strong> ← <strong>${after.name}</strong></p>` + (changes.length === 0
+            ? '<p class="empty-list-text">دو برنامه یکسان هستند.</p>'
+            : `<div class="compare-legend">${Object.entries(SchedulerCore.DIFF_TYPE_TEXT).map(([type, text]) => `<span class="diff-badge diff-${type}">${text}: ${toPersianNumber(counts[type])}</span>`).join('')}<span class="diff-badge">بدون تغییر: ${toPersianNumber(unchanged)}</span></div>`);
+
+        // Changes are found by the lesson and slot they start in, once in the newer and once in the older schedule.
+        const changeAt = new Map();
+        changes.forEach(change => {
+            if (change.to) changeAt.set(`${change.lessonId}|to|${change.to}`, change);
+            if (change.from && change.type !== 'teacher') changeAt.set(`${change.lessonId}|from|${change.from}`, change);
+        });
+        const lessonHTML = (lessonId, change, isOld) => {
+            const lesson = findCompared('lessons', lessonId);
+            const data = isOld ? before.data : after.data;
+            const teacherId = data.lessons.find(l => l.id === lessonId)?.teacherId;
+            const type = change ? (isOld && change.type === 'moved' ? 'moved-from' : change.type) : '';
+            const title = !change ? '' : change.type === 'moved'
+                ? (isOld ? `جابه‌جا به ${formatSlotKey(change.to)}` : `جابه‌جا از ${formatSlotKey(change.from)}`)
+                : change.type === 'teacher' ? describeTeacherSwap(change) : SchedulerCore.DIFF_TYPE_TEXT[change.type];
+            return `<div class="compare-lesson${type ? ` diff-${type}` : ''}" title="${title}"><span class="lesson-name-cell">${cleanName(lesson?.name)}</span><span class="teacher-name-cell">${findCompared('teachers', teacherId)?.name || 'بی‌نام'}</span></div>`;
+        };
+        const startsAt = (data, week, classId, key) => (data.schedule[week]?.[classId]?.[key] || []).filter(entry => entry.isStart);
+
+        // The two sides may have different school days and bell schedules; the grid covers the days and periods of either.
+        const sideCores = [before, after].map(side => SchedulerCore.createScheduleCore(() => side.data));
+        const days = SchedulerCore.ALL_DAYS.filter(day => sideCores.some(sideCore => sideCore.getActiveDays().includes(day)));
+        const getComparedDayPeriods = (day) => Math.max(...sideCores.map(sideCore => sideCore.getDayPeriods(day)));
+        const classes = [...after.data.classes, ...before.data.classes.filter(c => !after.data.classes.some(a => a.id === c.id))]
+            .sort((a, b) => a.name.localeCompare(b.name));
+        let html = `<table class="schedule-table"><thead><tr><th class="class-header sticky-col">کلاس</th>${days.map(day => `<th class="day-header" colspan="${getComparedDayPeriods(day)}">${day}</th>`).join('')}</tr><tr><th class="class-header sticky-col"></th>`;
+        days.forEach((day, dayIndex) => {
+            const periods = getComparedDayPeriods(day);
+            for (let i = 1; i <= periods; i++) {
+                html += `<th class="period-header ${i === periods && dayIndex < days.length - 1 ? 'day-separator' : ''}">${toPersianNumber(i)}</th>`;
+            }
+        });
+        html += '</tr></thead><tbody>';
+        classes.forEach(c => {
+            html += `<tr><th class="class-header sticky-col"><div>${cleanName(c.name)}</div></th>`;
+            days.forEach((day, dayIndex) => {
+                const periods = getComparedDayPeriods(day);
+                for (let period = 1; period <= periods; period++) {
+                    const key = `${day}_${period}`;
+                    const current = startsAt(after.data, after.week, c.id, key).map(entry => lessonHTML(entry.lessonId, changeAt.get(`${entry.lessonId}|to|${key}`), false));
+                    const gone = startsAt(before.data, before.week, c.id, key)
+                        .filter(entry => changeAt.has(`${entry.lessonId}|from|${key}`))
+                        .map(entry => lessonHTML(entry.lessonId, changeAt.get(`${entry.lessonId}|from|${key}`), true));
+                    const content = [...current, ...gone];
+                    html += `<td class="${period === periods && dayIndex < days.length - 1 ? 'day-separator' : ''}">${content.length ? `<div class="shared-slot-container">${content.join('')}</div>` : ''}</td>`;
+                }
+            });
+            html += '</tr>';
+        });
+        gridEl.innerHTML = `${html}</tbody></table>`;
+
+        teachersEl.innerHTML = groupChangesByTeacher().map(({ name, changes: teacherChanges }) => `
+            <div class="compare-teacher">
+                <h4>${name} <span>(${toPersianNumber(teacherChanges.length)} تغییر)</span></h4>
+                <ul>${teacherChanges.map(change => `<li><span class="diff-badge diff-${change.type}">${SchedulerCore.DIFF_TYPE_TEXT[change.type]}</span> ${cleanName(findCompared('lessons', change.lessonId)?.name)} (${cleanName(findCompared('classes', change.classId)?.name)}): ${change.type === 'teacher' ? `${formatSlotKey(change.to)}، ${describeTeacherSwap(change)}` : `${formatSlotKey(change.from)} ← ${formatSlotKey(change.to)}`}</li>`).join('')}</ul>
+            </div>`).join('');
+    };
+
+    const openSubstituteModal = () => {
+        const teacherSelect = getEl('absence-teacher-select');
+        const selectedTeacher = teacherSelect.value;
+        teacherSelect.innerHTML = '<option value="">-- دبیر غایب --</option>' +
+            [...state.teachers].sort((a, b) => a.name.localeCompare(b.name)).map(t => `<option value="${t.id}">${t.name}</option>`).join('');
+        teacherSelect.value = state.teachers.some(t => t.id === selectedTeacher) ? selectedTeacher : '';
+        const daySelect = getEl('absence-day-select');
+        const selectedDay = daySelect.value;
+        daySelect.innerHTML = getActiveDays().map(day => `<option value="${day}">${day}</option>`).join('');
+        if (getActiveDays().includes(selectedDay)) daySelect.value = selectedDay;
+        getEl('absence-week-select').value = state.activeWeek;
+        if (absenceQuery && !getTeacherById(absenceQuery.teacherId)) absenceQuery = null;
+        renderAbsence();
+        getEl('substitute-modal').style.display = 'flex';
+    };
+
+    const renderAbsence = () => {
+        renderSubstitutionHistory();
+        const resultEl = getEl('absence-sessions');
+        if (!absenceQuery) {
+            resultEl.innerHTML = '';
+            return;
+        }
+        const tags = (candidate) => [
+            candidate.sameSubject && 'همان درس',
+            candidate.sameClass && 'همین کلاس',
+            candidate.dayLoad > 0 && `در مدرسه (${toPersianNumber(candidate.dayLoad)} زنگ)`,
+            `${toPersianNumber(candidate.substitutions)} جانشینی`,
+            candidate.dayOff && 'روز آزاد',
+            candidate.overLimit && 'بیش از سقف روزانه',
+        ].filter(Boolean).join('، ');
+
+        resultEl.innerHTML = absenceQuery.occasions.map((occasion, occasionIndex) => {
+            const sessions = getAbsenceSessions(absenceQuery.teacherId, occasion.day, occasion.week);
+            const rows = sessions.map(session => {
+                const record = findSubstitution(occasion, session);
+                const candidates = rankSubstitutes(session, { busy: getSubstituteBusySlots(occasion, session) });
+                const options = candidates.map(c => `<option value="${c.teacher.id}">${c.teacher.name} — ${tags(c)}</option>`);
+                if (record && !candidates.some(c => c.teacher.id === record.substituteId)) {
+                    options.unshift(`<option value="${record.substituteId}">${getTeacherById(record.substituteId)?.name || 'بی‌نام'} (دیگر آزاد نیست)</option>`);
+                }
+                return `<tr class="${record ? 'covered' : ''}">
+                    <td>${toPersianNumber(session.period)}<span class="period-time">${formatBellTime(getBellTime(session.day, session.period))}</span></td>
+                    <td>${cleanName(getClassById(session.classId)?.name)}</td>
+                    <td>${cleanName(getLessonById(session.lessonId)?.name)}</td>
+                    <td><select class="substitute-select" data-occasion="${occasionIndex}" data-lesson-id="${session.lessonId}" data-period="${session.period}">
+                        <option value="">${candidates.length ? '-- بدون جانشین --' : '-- دبیر آزادی یافت نشد --'}</option>${options.join('')}
+                    </select></td>
+                </tr>`;
+            }).join('');
+            return `<div class="absence-day">
+                <h4>${formatOccasion(occasion)}</h4>
+                ${sessions.length === 0 ? '<p class="empty-list-text">در این روز کلاسی ندارد.</p>' : `<table class="substitution-table"><thead><tr><th>زنگ</th><th>کلاس</th><th>درس</th><th>جانشین (بهترین گزینه‌ها در ابتدا)</th></tr></thead><tbody>${rows}</tbody></table>`}
+            </div>`;
+        }).join('');
+
+        resultEl.querySelectorAll('.substitute-select').forEach(select => {
+            const occasion = absenceQuery.occasions[select.dataset.occasion];
+            const record = findSubstitution(occasion, { lessonId: select.dataset.lessonId, period: parseInt(select.dataset.period) });
+            select.value = record?.substituteId || '';
+        });
+    };
+
+    const renderSubstitutionHistory = () => {
+        const filterSelect = getEl('substitution-history-teacher');
+        const selected = filterSelect.value;
+        const counts = new Map(state.teachers.map(t => [t.id, { covered: 0, absent: 0 }]));
+        state.substitutions.forEach(s => {
+            if (counts.has(s.substituteId)) counts.get(s.substituteId).covered++;
+            if (counts.has(s.absentTeacherId)) counts.get(s.absentTeacherId).absent++;
+        });
+        const involved = [...state.teachers].filter(t => counts.get(t.id).covered + counts.get(t.id).absent > 0).sort((a, b) => a.name.localeCompare(b.name));
+        filterSelect.innerHTML = '<option value="">همه دبیران</option>' + involved.map(t =>
+            `<option value="${t.id}">${t.name} (${toPersianNumber(counts.get(t.id).covered)} جانشینی، ${toPersianNumber(counts.get(t.id).absent)} جلسه غیبت)</option>`).join('');
+        filterSelect.value = involved.some(t => t.id === selected) ? selected : '';
+
+        const listEl = getEl('substitution-history-list');
+        const records = state.substitutions
+            .filter(s => !filterSelect.value || s.substituteId === filterSelect.value || s.absentTeacherId === filterSelect.value)
+            .sort((a, b) => (b.date || '').localeCompare(a.date || '') || b.time.localeCompare(a.time));
+        if (records.length === 0) {
+            listEl.innerHTML = '<p class="empty-list-text">هنوز جانشینی ثبت نشده است.</p>';
+            return;
+        }
+        listEl.innerHTML = records.map(s => `<div class="list-item" data-substitution-id="${s.id}">
+            <div>
+                <div>${getTeacherById(s.substituteId)?.name || 'بی‌نام'} به جای ${getTeacherById(s.absentTeacherId)?.name || 'بی‌نام'}</div>
+                <div class="room-name">${cleanName(getLessonById(s.lessonId)?.name)} (${cleanName(getClassById(s.classId)?.name)})، ${formatOccasion(s)} زنگ ${toPersianNumber(s.period)}</div>
+            </div>
+            <div class="item-controls"><button class="delete-substitution-btn" title="حذف از سابقه"><i class="fas fa-trash"></i></button></div>
+        </div>`).join('');
+    };
+
     const renderChangeLog = () => {
         const listEl = getEl('change-log-list');
         if (!listEl) return;
@@ -1794,20 +3639,76 @@ document.addEventListener('DOMContentLoaded', () => {
         const type = getEl('constraint-type-select').value;
         const selectedId = getEl('constraint-item-select').value;
         const days = getActiveDays();
-        const periods = 4;
+        const periods = getMaxPeriods();
         let tableHTML = `<table id="constraints-table"><thead><tr><th></th>${days.map(day => `<th>${day.slice(0,3)}</th>`).join('')}</tr></thead><tbody>`;
         for (let i = 1; i <= periods; i++) {
             tableHTML += `<tr><td class="period-label">زنگ ${toPersianNumber(i)}</td>`;
             days.forEach(day => {
+                if (i > getDayPeriods(day)) {
+                    tableHTML += `<td class="no-period"></td>`;
+                    return;
+                }
                 const isLocked = state.constraints.unavailable.some(c =>
                     c.type === type && c.id === selectedId && c.day === day && c.period === i
                 );
-                tableHTML += `<td data-day="${day}" data-period="${i}" class="${isLocked ? 'locked-slot' : ''}"></td>`;
+                tableHTML += `<td data-day="${day}" data-period="${i}" class="${isLocked ? 'locked-slot' : ''}" title="${formatBellTime(getBellTime(day, i))}"></td>`;
             });
             tableHTML += '</tr>';
         }
         tableHTML += '</tbody></table>';
         container.innerHTML = tableHTML;
+        renderTeacherRulesEditor();
+    };
+
+    const renderTeacherRulesEditor = () => {
+        const container = getEl('teacher-rules-editor');
+        if (!container) return;
+        const type = getEl('constraint-type-select').value;
+        const teacherId = getEl('constraint-item-select').value;
+        if (type !== 'teacher' || !teacherId) {
+            container.innerHTML = '';
+            return;
+        }
+        const rules = getTeacherRules(teacherId) || {};
+        container.innerHTML = `
+            <h4><i class="fas fa-user-clock"></i> قوانین حجم کار دبیر</h4>
+            <div class="teacher-rules-grid">
+                <label>حداکثر زنگ در روز
+                    <input type="number" min="1" max="${MAX_PERIODS_PER_DAY}" data-rule="maxDailyPeriods" value="${rules.maxDailyPeriods || ''}" placeholder="بدون محدودیت">
+                </label>
+                <label>حداکثر روزهای حضور در هفته
+                    <input type="number" min="1" max="${ALL_DAYS.length}" data-rule="maxDays" value="${rules.maxDays || ''}" placeholder="بدون محدودیت">
+                </label>
+            </div>
+            <div class="days-off-list"><span>روزهای آزاد:</span>
+                ${getActiveDays().map(day => `<label><input type="checkbox" data-rule="daysOff" value="${day}" ${rules.daysOff?.includes(day) ? 'checked' : ''}> ${day}</label>`).join('')}
+            </div>`;
+    };
+
+    const handleTeacherRuleChange = (e) => {
+        const input = e.target;
+        const rule = input.dataset.rule;
+        const teacherId = getEl('constraint-item-select').value;
+        if (!rule || !teacherId) return;
+
+        recordHistory('تغییر قوانین حجم کار دبیر');
+        const rules = { daysOff: [], ...(getTeacherRules(teacherId) || {}) };
+        if (rule === 'daysOff') {
+            rules.daysOff = input.checked ? [...new Set([...rules.daysOff, input.value])] : rules.daysOff.filter(day => day !== input.value);
+        } else {
+            const value = parseInt(input.value);
+            rules[rule] = value > 0 ? value : null;
+        }
+
+        if (!rules.maxDailyPeriods && !rules.maxDays && rules.daysOff.length === 0) {
+            delete state.constraints.teacherRules[teacherId];
+        } else {
+            state.constraints.teacherRules[teacherId] = rules;
+        }
+        const teacherName = getTeacherById(teacherId)?.name || '';
+        logChange(`قوانین حجم کار دبیر "${teacherName}" به‌روزرسانی شد.`);
+        saveState();
+        renderAll();
     };
 
     const handleConstraintToggle = (cell) => {
@@ -1821,6 +3722,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const periodNum = parseInt(period);
         const index = state.constraints.unavailable.findIndex(c => c.type === type && c.id === id && c.day === day && c.period === periodNum);
+        recordHistory('تغییر محدودیت زمانی');
 
         if (index > -1) {
             state.constraints.unavailable.splice(index, 1);
@@ -1833,5 +3735,110 @@ document.addEventListener('DOMContentLoaded', () => {
         refreshCurrentView();
     };
 
+    const renderBellScheduleSettings = () => {
+        const container = getEl('bell-schedule-editor');
+        if (!container) return;
+        const activeDays = getActiveDays();
+        let tableHTML = `<table class="bell-schedule-table"><thead><tr><th>روز</th><th>تعداد زنگ</th><th>ساعت زنگ‌ها</th></tr></thead><tbody>`;
+        ALL_DAYS.forEach(day => {
+            const bells = state.settings.bellSchedule[day] || [];
+            const isInactive = !activeDays.includes(day);
+            tableHTML += `<tr class="${isInactive ? 'inactive-day' : ''}">
+                <td class="period-label">${day}</td>
+                <td><input type="number" class="bell-count-input" data-day="${day}" min="1" max="${MAX_PERIODS_PER_DAY}" value="${bells.length}"></td>
+                <td><div class="bell-times">${bells.map((bell, index) => `
+                    <div class="bell-time-item">
+                        <span>${toPersianNumber(index + 1)}</span>
+                        <input type="time" class="bell-time-input" data-day="${day}" data-index="${index}" data-field="start" value="${bell.start}">
+                        <input type="time" class="bell-time-input" data-day="${day}" data-index="${index}" data-field="end" value="${bell.end}">
+                    </div>`).join('')}</div></td>
+            </tr>`;
+        });
+        tableHTML += '</tbody></table>';
+        container.innerHTML = tableHTML;
+    };
+
+    // Removes placements, merges and locks that fall outside a day's new period count.
+    const trimDayPeriods = (day, count) => {
+        ['A', 'B'].forEach(week => {
+            Object.values(state.schedule[week]).forEach(classSchedule => {
+                Object.keys(classSchedule).forEach(key => {
+                    const [keyDay, periodStr] = key.split('_');
+                    if (keyDay !== day) return;
+                    const period = parseInt(periodStr);
+                    // A lesson that starts inside the day but runs past its end is dropped as a whole.
+                    classSchedule[key].forEach(entry => {
+                        const lesson = getLessonById(entry.lessonId);
+                        if (entry.isStart && lesson && period + lesson.periods - 1 > count) {
+                            for (let i = 0; i < lesson.periods; i++) {
+                                const spanKey = `${day}_${period + i}`;
+                                if (classSchedule[spanKey]) classSchedule[spanKey] = classSchedule[spanKey].filter(e => e.lessonId !== entry.lessonId);
+                            }
+                        }
+                    });
+                });
+                Object.keys(classSchedule).forEach(key => {
+                    if (classSchedule[key].length === 0) delete classSchedule[key];
+                });
+            });
+            state.merges[week] = state.merges[week].filter(m => m.day !== day || m.startPeriod + m.count - 1 <= count);
+        });
+        state.constraints.unavailable = state.constraints.unavailable.filter(c => c.day !== day || c.period <= count);
+        invalidateSlotIndex();
+    };
+
+    const countPlacementsBeyond = (day, count) => {
+        let total = 0;
+        ['A', 'B'].forEach(week => {
+            Object.values(state.schedule[week]).forEach(classSchedule => {
+                Object.entries(classSchedule).forEach(([key, slot]) => {
+                    const [keyDay, periodStr] = key.split('_');
+                    if (keyDay === day && parseInt(periodStr) > count) total += slot.length;
+                });
+            });
+        });
+        return total;
+    };
+
+    const handleBellScheduleChange = async (e) => {
+        const input = e.target;
+        const { day } = input.dataset;
+        const bells = state.settings.bellSchedule[day];
+        if (!bells) return;
+
+        if (input.classList.contains('bell-count-input')) {
+            const count = Math.min(Math.max(parseInt(input.value) || 1, 1), MAX_PERIODS_PER_DAY);
+            if (count < bells.length) {
+                const affected = countPlacementsBeyond(day, count);
+                if (affected > 0 && !(await showConfirm('کاهش تعداد زنگ‌ها', `در زنگ‌های حذف‌شده روز ${day} درس قرار گرفته است. این دروس به لیست تخصیص نیافته بازمی‌گردند. آیا ادامه می‌دهید؟`))) {
+                    input.value = bells.length;
+                    return;
+                }
+                recordHistory(`تغییر زنگ‌بندی روز ${day}`);
+                trimDayPeriods(day, count);
+                bells.splice(count);
+            } else {
+                recordHistory(`تغییر زنگ‌بندی روز ${day}`);
+                while (bells.length < count) {
+                    const previous = bells[bells.length - 1];
+                    const start = previous ? shiftTime(previous.end, 15) : DEFAULT_BELL_TIMES[0].start;
+                    bells.push({ start, end: shiftTime(start, 90) });
+                }
+            }
+            logChange(`تعداد زنگ‌های روز ${day} به ${toPersianNumber(count)} تغییر کرد.`);
+        } else if (input.classList.contains('bell-time-input')) {
+            const bell = bells[parseInt(input.dataset.index)];
+            if (!bell || !input.value) return;
+            recordHistory(`تغییر ساعت زنگ روز ${day}`);
+            bell[input.dataset.field] = input.value;
+        } else {
+            return;
+        }
+
+        saveState();
+        renderBellScheduleSettings();
+        renderAll();
+    };
+
     initializeApp();
 });
@@ -0,0 +1,26 @@
+// Builds a small state and a core bound to it: two classes, two teachers, and one lesson per case the tests need.
+const SchedulerCore = require('../scheduler-core.js');
+
+const createFixture = () => {
+    const state = SchedulerCore.normalizeState({
+        teachers: [
+            { id: 't1', name: 'دبیر یک' },
+            { id: 't2', name: 'دبیر دو' },
+        ],
+        classes: [
+            { id: 'c1', name: 'کلاس ۱' },
+            { id: 'c2', name: 'کلاس ۲' },
+        ],
+        lessons: [
+            { id: 'math', name: 'ریاضی', teacherId: 't1', classId: 'c1', periods: 1, sessions: 2 },
+            { id: 'physics', name: 'فیزیک', teacherId: 't1', classId: 'c2', periods: 1, sessions: 1 },
+            { id: 'lab', name: 'آزمایشگاه', teacherId: 't2', classId: 'c1', periods: 2, sessions: 1 },
+            { id: 'sport', name: 'ورزش', teacherId: 't2', classId: 'c1', jointClassIds: ['c2'], periods: 1, sessions: 1 },
+        ],
+        schedule: { A: { c1: {}, c2: {} }, B: { c1: {}, c2: {} } },
+    });
+    const core = SchedulerCore.createScheduleCore(() => state);
+    return { state, core, lesson: (id) => core.getLessonById(id) };
+};
+
+module.exports = { SchedulerCore, createFixture };
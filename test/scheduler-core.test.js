@@ -0,0 +1,387 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SchedulerCore, createFixture } = require('./helpers.js');
+
+test('placing a lesson writes its periods and removing it clears them', () => {
+    const { state, core, lesson } = createFixture();
+    core.placeLessonInSchedule('c1', 'شنبه', 1, lesson('math'));
+    assert.deepEqual(state.schedule.A.c1['شنبه_1'], [{ lessonId: 'math', isStart: true }]);
+    assert.ok(core.getTeacherSlots('t1').has('شنبه_1'));
+
+    core.removeLessonFromSchedule('c1', 'math', 'شنبه_1');
+    assert.equal(state.schedule.A.c1['شنبه_1'], undefined);
+    assert.ok(!core.getTeacherSlots('t1').has('شنبه_1'));
+});
+
+test('a joint lesson is placed in and removed from every linked class', () => {
+    const { state, core, lesson } = createFixture();
+    core.placeLessonInSchedule('c1', 'شنبه', 2, lesson('sport'), { pinned: true });
+    assert.deepEqual(state.schedule.A.c1['شنبه_2'], [{ lessonId: 'sport', isStart: true, pinned: true }]);
+    assert.deepEqual(state.schedule.A.c2['شنبه_2'], [{ lessonId: 'sport', isStart: true, pinned: true }]);
+    assert.ok(core.isPlacementPinned('c2', 'sport', 'شنبه_2'));
+
+    core.removeLessonFromSchedule('c2', 'sport', 'شنبه_2');
+    assert.equal(state.schedule.A.c1['شنبه_2'], undefined);
+    assert.equal(state.schedule.A.c2['شنبه_2'], undefined);
+});
+
+test('a multi-period lesson fits only at the start of a long enough merge', () => {
+    const { state, core, lesson } = createFixture();
+    assert.equal(core.fitsEmptySlot(lesson('lab'), 'c1', 'شنبه_1', 'A'), false);
+
+    state.merges.A.push({ classId: 'c1', day: 'شنبه', startPeriod: 1, count: 2 });
+    assert.equal(core.findMerge('A', 'c1', 'شنبه', 2).startPeriod, 1);
+    assert.equal(core.fitsEmptySlot(lesson('lab'), 'c1', 'شنبه_1', 'A'), true);
+    assert.equal(core.fitsEmptySlot(lesson('lab'), 'c1', 'شنبه_2', 'A'), false);
+    assert.equal(core.fitsEmptySlot(lesson('math'), 'c1', 'شنبه_1', 'A'), true);
+});
+
+test('a multi-period joint lesson needs a matching merge in every linked row', () => {
+    const { state, core, lesson } = createFixture();
+    lesson('lab').jointClassIds = ['c2'];
+    state.merges.A.push({ classId: 'c1', day: 'شنبه', startPeriod: 1, count: 2 });
+    assert.equal(core.fitsEmptySlot(lesson('lab'), 'c1', 'شنبه_1', 'A'), false);
+
+    state.merges.A.push({ classId: 'c2', day: 'شنبه', startPeriod: 2, count: 2 });
+    assert.equal(core.fitsCellSpans(lesson('lab'), 'c2', 'شنبه_1', 'A'), false);
+
+    state.merges.A.pop();
+    state.merges.A.push({ classId: 'c2', day: 'شنبه', startPeriod: 1, count: 2 });
+    assert.equal(core.fitsEmptySlot(lesson('lab'), 'c1', 'شنبه_1', 'A'), true);
+});
+
+test('relinking a lesson moves its placed copies to the rows of its new classes', () => {
+    const { state, core, lesson } = createFixture();
+    core.placeLessonInSchedule('c1', 'شنبه', 2, lesson('sport'), { pinned: true });
+    core.placeLessonInSchedule('c1', 'یکشنبه', 1, lesson('sport'), { week: 'B' });
+
+    assert.equal(core.relinkLessonClasses('sport', 'c2', []), 0);
+    assert.equal(state.schedule.A.c1['شنبه_2'], undefined);
+    assert.deepEqual(state.schedule.A.c2['شنبه_2'], [{ lessonId: 'sport', isStart: true, pinned: true }]);
+    assert.equal(state.schedule.B.c1['یکشنبه_1'], undefined);
+    assert.deepEqual(state.schedule.B.c2['یکشنبه_1'], [{ lessonId: 'sport', isStart: true }]);
+    assert.deepEqual(core.getTeacherSlots('t2').get('شنبه_2').map(record => record.classId), ['c2']);
+
+    assert.equal(core.relinkLessonClasses('sport', 'c1', ['c2']), 0);
+    assert.deepEqual(state.schedule.A.c1['شنبه_2'], [{ lessonId: 'sport', isStart: true, pinned: true }]);
+    assert.deepEqual(state.schedule.A.c2['شنبه_2'], [{ lessonId: 'sport', isStart: true, pinned: true }]);
+});
+
+test('relinking a lesson unplaces sessions that do not fit the new rows and clears stray copies', () => {
+    const { state, core, lesson } = createFixture();
+    state.constraints.unavailable.push({ type: 'class', id: 'c2', day: 'شنبه', period: 1 });
+    core.placeLessonInSchedule('c1', 'شنبه', 1, lesson('math'));
+    core.placeLessonInSchedule('c1', 'شنبه', 3, lesson('math'));
+    state.schedule.A.c2['دوشنبه_1'] = [{ lessonId: 'math', isStart: true }];
+
+    assert.equal(core.relinkLessonClasses('math', 'c1', ['c2']), 1);
+    assert.deepEqual(lesson('math').jointClassIds, ['c2']);
+    assert.equal(state.schedule.A.c1['شنبه_1'], undefined);
+    assert.equal(state.schedule.A.c2['دوشنبه_1'], undefined);
+    assert.deepEqual(state.schedule.A.c2['شنبه_3'], [{ lessonId: 'math', isStart: true }]);
+    assert.equal(core.getRemainingSessions(lesson('math'), 'A'), 1);
+});
+
+test('a slot does not fit when the cell or the teacher is taken', () => {
+    const { core, lesson } = createFixture();
+    core.placeLessonInSchedule('c1', 'شنبه', 1, lesson('sport'));
+    assert.equal(core.fitsEmptySlot(lesson('math'), 'c1', 'شنبه_1', 'A'), false);
+
+    core.placeLessonInSchedule('c2', 'شنبه', 3, lesson('physics'));
+    assert.equal(core.fitsEmptySlot(lesson('math'), 'c1', 'شنبه_3', 'A'), false);
+    assert.equal(core.fitsEmptySlot(lesson('math'), 'c1', 'شنبه_3', 'B'), true);
+});
+
+test('checkForConflict reports other classes of the teacher and follows the slot index', () => {
+    const { core, lesson } = createFixture();
+    core.placeLessonInSchedule('c2', 'شنبه', 1, lesson('physics'));
+    assert.deepEqual(core.checkForConflict(lesson('math'), 'شنبه', 1, 'c1'), { teacher: ['کلاس ۲'], room: [] });
+    assert.equal(core.checkForConflict(lesson('math'), 'شنبه', 2, 'c1'), null);
+
+    core.removeLessonFromSchedule('c2', 'physics', 'شنبه_1');
+    assert.equal(core.checkForConflict(lesson('math'), 'شنبه', 1, 'c1'), null);
+});
+
+test('checkForConflict ignores the joint copies of the checked lesson', () => {
+    const { core, lesson } = createFixture();
+    core.placeLessonInSchedule('c1', 'یکشنبه', 1, lesson('sport'));
+    assert.equal(core.checkForConflict(lesson('sport'), 'یکشنبه', 1, 'c1'), null);
+    assert.deepEqual(core.checkForConflict(lesson('lab'), 'یکشنبه', 1, 'c1').teacher, ['کلاس ۲']);
+});
+
+test('isSlotLocked honours class and teacher locks', () => {
+    const { state, core } = createFixture();
+    state.constraints.unavailable.push(
+        { type: 'class', id: 'c1', day: 'شنبه', period: 2 },
+        { type: 'teacher', id: 't1', day: 'یکشنبه', period: 1 },
+    );
+    assert.equal(core.isSlotLocked({ classId: 'c1', day: 'شنبه', period: '2' }), true);
+    assert.equal(core.isSlotLocked({ classId: 'c2', day: 'شنبه', period: '2' }), false);
+    assert.equal(core.isSlotLocked({ classId: 'c2', day: 'یکشنبه', period: 1, lessonId: 'physics' }), true);
+    assert.equal(core.isSlotLocked({ classId: 'c2', day: 'یکشنبه', period: 1, lessonId: 'sport' }), false);
+});
+
+test('checkTeacherRules reports days off, the daily cap and the day cap', () => {
+    const { state, core, lesson } = createFixture();
+    state.constraints.teacherRules.t1 = { daysOff: ['دوشنبه'], maxDailyPeriods: 1, maxDays: 1 };
+    core.placeLessonInSchedule('c1', 'شنبه', 1, lesson('math'));
+
+    assert.equal(core.checkTeacherRules(lesson('physics'), 'شنبه').length, 1);
+    assert.equal(core.checkTeacherRules(lesson('physics'), 'دوشنبه').length, 2);
+    assert.deepEqual(core.checkTeacherRules(lesson('math'), 'شنبه', { classId: 'c1', lessonId: 'math', startKey: 'شنبه_1' }), []);
+    assert.deepEqual(core.checkTeacherRules(lesson('lab'), 'دوشنبه'), []);
+});
+
+test('findScheduleIssues finds double bookings, rule breaks and session problems', () => {
+    const { state, core, lesson } = createFixture();
+    state.constraints.teacherRules.t2 = { daysOff: ['یکشنبه'] };
+    lesson('physics').weekPattern = 'B';
+    core.placeLessonInSchedule('c1', 'شنبه', 1, lesson('math'));
+    core.placeLessonInSchedule('c1', 'شنبه', 3, lesson('math'));
+    core.placeLessonInSchedule('c1', 'دوشنبه', 1, lesson('math'));
+    core.placeLessonInSchedule('c2', 'شنبه', 1, lesson('physics'));
+    core.placeLessonInSchedule('c1', 'یکشنبه', 1, lesson('sport'));
+
+    const issues = core.findScheduleIssues('A');
+    const byType = (type) => issues.filter(issue => issue.type === type);
+    assert.deepEqual(byType('teacher').map(issue => [issue.ownerId, issue.day, issue.period, issue.classIds]), [['t1', 'شنبه', 1, ['c1', 'c2']]]);
+    assert.deepEqual(byType('dayOff').map(issue => [issue.teacherId, issue.day]), [['t2', 'یکشنبه']]);
+    assert.deepEqual(byType('wrongWeek').map(issue => issue.lessonId), ['physics']);
+    assert.deepEqual(byType('extraSessions').map(issue => [issue.lessonId, issue.count, issue.target]), [['math', 3, 2]]);
+    assert.deepEqual(byType('sameDay').map(issue => [issue.lessonId, issue.day]), [['math', 'شنبه']]);
+    assert.deepEqual(core.findScheduleIssues('B'), []);
+});
+
+// Week A holds both sessions of `math`; week B starts with one pinned session at `pinnedKey`.
+const createCopyFixture = (pinnedKey) => {
+    const fixture = createFixture();
+    const { core, lesson } = fixture;
+    core.placeLessonInSchedule('c1', 'شنبه', 1, lesson('math'), { week: 'A' });
+    core.placeLessonInSchedule('c1', 'یکشنبه', 1, lesson('math'), { week: 'A' });
+    const [day, period] = pinnedKey.split('_');
+    core.placeLessonInSchedule('c1', day, parseInt(period), lesson('math'), { week: 'B', pinned: true });
+    return fixture;
+};
+const getStarts = (state, week, lessonId) => Object.entries(state.schedule[week].c1)
+    .flatMap(([key, slot]) => slot.filter(entry => entry.lessonId === lessonId && entry.isStart).map(entry => [key, Boolean(entry.pinned)]))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+test('copying a week pins the copied session where the target had it pinned', () => {
+    const { state, core } = createCopyFixture('شنبه_1');
+    assert.equal(core.copyWeekSchedule('A', 'B'), 0);
+    assert.deepEqual(getStarts(state, 'B', 'math'), [['شنبه_1', true], ['یکشنبه_1', false]]);
+    assert.deepEqual(getStarts(state, 'A', 'math').map(([, pinned]) => pinned), [false, false]);
+});
+
+test('copying a week keeps a pinned session at another time in place of a copied one', () => {
+    const { state, core } = createCopyFixture('دوشنبه_2');
+    assert.equal(core.copyWeekSchedule('A', 'B'), 0);
+    assert.deepEqual(getStarts(state, 'B', 'math'), [['دوشنبه_2', true], ['یکشنبه_1', false]]);
+});
+
+test('copying a week counts a pinned session whose cells the copy takes as dropped', () => {
+    const { state, core, lesson } = createCopyFixture('دوشنبه_2');
+    core.placeLessonInSchedule('c1', 'دوشنبه', 2, lesson('sport'), { week: 'A' });
+    assert.equal(core.copyWeekSchedule('A', 'B'), 1);
+    assert.deepEqual(getStarts(state, 'B', 'math'), getStarts(state, 'A', 'math'));
+    assert.deepEqual(state.schedule.B.c1['دوشنبه_2'], [{ lessonId: 'sport', isStart: true }]);
+});
+
+test('importTeacherRows adds only unknown teachers', () => {
+    const { core } = createFixture();
+    const added = core.importTeacherRows([
+        { 'کد پرسنلی': 't3', 'نام': 'علی', 'نام خانوادگی': 'احمدی', 'موظفی': '24', 'دروس قابل تدریس': 'ریاضی، فیزیک' },
+        { 'کد پرسنلی': 't1', 'نام': 'دبیر', 'نام خانوادگی': 'تکراری' },
+        { 'نام': 'بدون', 'نام خانوادگی': 'کد' },
+    ]);
+    assert.equal(added, 1);
+    const teacher = core.getTeacherById('t3');
+    assert.equal(teacher.name, 'علی احمدی');
+    assert.equal(teacher.requiredHours, 24);
+    assert.deepEqual(teacher.subjects, SchedulerCore.parseSubjects('ریاضی، فیزیک'));
+    assert.equal(core.getTeacherById('t1').name, 'دبیر یک');
+});
+
+test('importLessonRows creates missing classes and skips unknown teachers', () => {
+    const { state, core } = createFixture();
+    const result = core.importLessonRows([
+        { 'کلاس': 'کلاس ۱', 'نام درس': 'شیمی', 'کد پرسنلی': 't1', 'تعداد زنگ': '2', 'الگوی هفته': 'یک هفته در میان' },
+        { 'کلاس': 'کلاس ۳', 'نام درس': 'ادبیات', 'کد پرسنلی': 't2', 'تعداد جلسه': '3' },
+        { 'کلاس': 'کلاس ۱', 'نام درس': 'هنر', 'کد پرسنلی': 'x9' },
+    ]);
+    assert.equal(result.newLessons, 2);
+    assert.equal(result.newClasses, 1);
+    assert.equal(result.warnings.length, 1);
+
+    const chemistry = state.lessons.find(l => l.name === 'شیمی');
+    assert.equal(chemistry.classId, 'c1');
+    assert.equal(chemistry.periods, 2);
+    assert.equal(chemistry.weekPattern, 'alternating');
+    const newClass = state.classes.find(c => c.name === 'کلاس ۳');
+    assert.equal(state.lessons.find(l => l.name === 'ادبیات').sessions, 3);
+    assert.deepEqual(state.schedule.A[newClass.id], {});
+    assert.deepEqual(state.schedule.B[newClass.id], {});
+});
+
+test('findReassignConflicts reports clashes with the new teacher\'s other lessons', () => {
+    const { state, core, lesson } = createFixture();
+    state.merges.A.push({ classId: 'c1', day: 'یکشنبه', startPeriod: 1, count: 2 });
+    core.placeLessonInSchedule('c1', 'یکشنبه', 1, lesson('lab'));
+    core.placeLessonInSchedule('c2', 'یکشنبه', 2, lesson('physics'));
+
+    assert.deepEqual(core.findReassignConflicts(['physics'], 't2'), [
+        { week: 'A', day: 'یکشنبه', period: 2, lessonId: 'physics', type: 'teacher', otherLessonIds: ['lab'] },
+    ]);
+    assert.deepEqual(core.findReassignConflicts(['physics', 'lab'], 't2'), []);
+});
+
+test('findReassignConflicts checks the new teacher\'s locks and workload rules', () => {
+    const { state, core, lesson } = createFixture();
+    state.constraints.teacherRules.t2 = { daysOff: ['دوشنبه'], maxDailyPeriods: 1, maxDays: 1 };
+    state.constraints.unavailable.push({ type: 'teacher', id: 't2', day: 'دوشنبه', period: 1 });
+    core.placeLessonInSchedule('c1', 'شنبه', 1, lesson('sport'));
+    core.placeLessonInSchedule('c1', 'شنبه', 2, lesson('math'));
+    core.placeLessonInSchedule('c1', 'دوشنبه', 1, lesson('math'));
+
+    const conflicts = core.findReassignConflicts(['math'], 't2');
+    assert.deepEqual(conflicts.map(conflict => [conflict.type, conflict.day]), [
+        ['maxDays', undefined], ['maxDailyPeriods', 'شنبه'], ['unavailable', 'دوشنبه'], ['dayOff', 'دوشنبه'],
+    ]);
+    assert.deepEqual(conflicts[0], { week: 'A', type: 'maxDays', count: 2, limit: 1 });
+    assert.deepEqual(conflicts[1], { week: 'A', day: 'شنبه', type: 'maxDailyPeriods', count: 2, limit: 1 });
+
+    state.constraints.teacherRules.t2 = { maxDailyPeriods: 2, maxDays: 2 };
+    state.constraints.unavailable = [];
+    assert.deepEqual(core.findReassignConflicts(['math'], 't2'), []);
+});
+
+test('reassignLessons moves the lessons and their slots to the new teacher', () => {
+    const { core, lesson } = createFixture();
+    core.placeLessonInSchedule('c1', 'شنبه', 1, lesson('math'));
+    core.reassignLessons(['math'], 't2');
+
+    assert.equal(lesson('math').teacherId, 't2');
+    assert.equal(lesson('physics').teacherId, 't1');
+    assert.ok(core.getTeacherSlots('t2').has('شنبه_1'));
+    assert.ok(!core.getTeacherSlots('t1').has('شنبه_1'));
+});
+
+test('getAbsenceSessions lists the teacher\'s sessions of the day in period order, a joint lesson once', () => {
+    const { state, core, lesson } = createFixture();
+    core.placeLessonInSchedule('c1', 'شنبه', 3, lesson('math'));
+    core.placeLessonInSchedule('c2', 'شنبه', 1, lesson('physics'));
+    core.placeLessonInSchedule('c1', 'یکشنبه', 1, lesson('math'));
+    core.placeLessonInSchedule('c2', 'شنبه', 2, lesson('sport'));
+
+    assert.deepEqual(core.getAbsenceSessions('t1', 'شنبه'), [
+        { lessonId: 'physics', classId: 'c2', day: 'شنبه', period: 1, periods: 1, week: 'A' },
+        { lessonId: 'math', classId: 'c1', day: 'شنبه', period: 3, periods: 1, week: 'A' },
+    ]);
+    assert.deepEqual(core.getAbsenceSessions('t2', 'شنبه'), [
+        { lessonId: 'sport', classId: 'c1', day: 'شنبه', period: 2, periods: 1, week: 'A' },
+    ]);
+    assert.deepEqual(core.getAbsenceSessions('t1', 'شنبه', 'B'), []);
+    assert.equal(state.activeWeek, 'A');
+});
+
+test('rankSubstitutes keeps only free teachers and orders them by subject, class, presence and load', () => {
+    const { state, core, lesson } = createFixture();
+    state.teachers.push(
+        { id: 't3', name: 'دبیر سه', subjects: ['ریاضی'] },
+        { id: 't4', name: 'دبیر چهار' },
+        { id: 't5', name: 'دبیر پنج' },
+        { id: 't6', name: 'دبیر شش' },
+        { id: 't7', name: 'دبیر هفت' },
+        { id: 't8', name: 'دبیر هشت', subjects: ['ریاضی'] },
+        { id: 't9', name: 'دبیر نه' },
+    );
+    state.lessons.push(
+        { id: 'history', name: 'تاریخ', teacherId: 't4', classId: 'c2', periods: 1, sessions: 1 },
+        { id: 'art', name: 'هنر', teacherId: 't6', classId: 'c2', periods: 1, sessions: 1 },
+    );
+    state.constraints.unavailable.push({ type: 'teacher', id: 't7', day: 'شنبه', period: 1 });
+    state.constraints.teacherRules.t8 = { daysOff: ['شنبه'] };
+    state.substitutions.push({ absentTeacherId: 't1', substituteId: 't5' });
+    core.placeLessonInSchedule('c1', 'شنبه', 1, lesson('math'));
+    core.placeLessonInSchedule('c2', 'شنبه', 2, lesson('history'));
+    core.placeLessonInSchedule('c2', 'شنبه', 1, lesson('art'));
+
+    const [session] = core.getAbsenceSessions('t1', 'شنبه');
+    const rank = (options) => core.rankSubstitutes(session, options).map(candidate => candidate.teacher.id);
+    // t6 teaches at the same time and t7 is unavailable. t5 has covered before, so t9 goes ahead of it; t8 is on a day off.
+    assert.deepEqual(rank(), ['t3', 't2', 't4', 't9', 't5', 't8']);
+    assert.deepEqual(rank({ busy: new Set(['t3|شنبه_1']), excludeIds: ['t2'] }), ['t4', 't9', 't5', 't8']);
+
+    state.constraints.teacherRules.t4 = { maxDailyPeriods: 1 };
+    const [t4] = core.rankSubstitutes(session).filter(candidate => candidate.teacher.id === 't4');
+    assert.equal(t4.overLimit, true);
+    assert.deepEqual(rank(), ['t3', 't2', 't9', 't5', 't8', 't4']);
+});
+
+test('diffWeekSchedules sorts sessions into added, removed, moved and unchanged', () => {
+    const { state, core, lesson } = createFixture();
+    core.placeLessonInSchedule('c1', 'شنبه', 1, lesson('math'));
+    core.placeLessonInSchedule('c2', 'شنبه', 2, lesson('physics'));
+    core.placeLessonInSchedule('c1', 'یکشنبه', 1, lesson('sport'));
+    const before = { lessons: structuredClone(state.lessons), schedule: structuredClone(state.schedule.A) };
+
+    core.removeLessonFromSchedule('c1', 'math', 'شنبه_1');
+    core.placeLessonInSchedule('c1', 'دوشنبه', 3, lesson('math'));
+    core.removeLessonFromSchedule('c2', 'physics', 'شنبه_2');
+    core.placeLessonInSchedule('c1', 'سه‌شنبه', 1, lesson('lab'));
+    const { changes, unchanged } = SchedulerCore.diffWeekSchedules(before, { lessons: state.lessons, schedule: state.schedule.A });
+
+    assert.deepEqual(changes, [
+        { lessonId: 'physics', fromTeacherId: 't1', toTeacherId: 't1', type: 'removed', classId: 'c2', from: 'شنبه_2', to: null },
+        { lessonId: 'math', fromTeacherId: 't1', toTeacherId: 't1', type: 'moved', classId: 'c1', from: 'شنبه_1', to: 'دوشنبه_3' },
+        { lessonId: 'lab', fromTeacherId: 't2', toTeacherId: 't2', type: 'added', classId: 'c1', from: null, to: 'سه‌شنبه_1' },
+    ]);
+    // The joint copy of sport in c2 is not counted a second time.
+    assert.equal(unchanged, 1);
+});
+
+test('diffWeekSchedules reports a session kept in place under a new teacher', () => {
+    const { state, core, lesson } = createFixture();
+    core.placeLessonInSchedule('c1', 'شنبه', 1, lesson('math'));
+    const before = { lessons: structuredClone(state.lessons), schedule: structuredClone(state.schedule.A) };
+    core.reassignLessons(['math'], 't2');
+
+    const { changes, unchanged } = SchedulerCore.diffWeekSchedules(before, { lessons: state.lessons, schedule: state.schedule.A });
+    assert.deepEqual(changes, [
+        { lessonId: 'math', fromTeacherId: 't1', toTeacherId: 't2', type: 'teacher', classId: 'c1', from: 'شنبه_1', to: 'شنبه_1' },
+    ]);
+    assert.equal(unchanged, 0);
+});
+
+test('normalizeState fills in what an older backup leaves out', () => {
+    const backup = {
+        teachers: [{ id: 't1', name: 'دبیر یک' }],
+        lessons: [],
+        classes: [{ id: 'c1', name: 'کلاس ۱' }],
+        schedule: { A: { c1: { 'شنبه_1': [] } } },
+        merges: { A: [{ classId: 'c1', day: 'شنبه', startPeriod: 1, count: 2 }] },
+        settings: { isSixDayWeek: false },
+    };
+    assert.equal(SchedulerCore.isBackupData(backup), true);
+    assert.equal(SchedulerCore.isBackupData({ teachers: [] }), false);
+
+    const state = SchedulerCore.normalizeState(backup);
+    assert.deepEqual(state.schedule, { A: { c1: { 'شنبه_1': [] } }, B: {} });
+    assert.deepEqual(state.merges.B, []);
+    assert.equal(state.merges.A.length, 1);
+    assert.deepEqual(state.constraints, { unavailable: [], teacherRules: {} });
+    assert.deepEqual(state.changeLog, []);
+    assert.equal(state.activeWeek, 'A');
+    assert.equal(state.settings.isSixDayWeek, false);
+    assert.equal(state.settings.syncWeeks, false);
+    assert.ok(state.settings.bellSchedule);
+
+    assert.deepEqual(SchedulerCore.normalizeState({ ...backup, schedule: {} }).schedule, { A: {}, B: {} });
+});
+
+test('the ES module entry point exposes the same core', async () => {
+    const entry = await import('../scheduler-core.mjs');
+    assert.equal(entry.default, SchedulerCore);
+    assert.equal(entry.createScheduleCore, SchedulerCore.createScheduleCore);
+    assert.equal(typeof globalThis.SchedulerEngine.solveWeekSchedule, 'function');
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFixture } = require('./helpers.js');
+
+test('solveWeekSchedule gives the same placements for the same seed', () => {
+    const { core } = createFixture();
+    const solve = () => globalThis.SchedulerEngine.solveWeekSchedule(core.buildAutoScheduleInput('A'), { seed: 5 });
+
+    const first = solve();
+    const second = solve();
+    assert.ok(first.placements.length > 0);
+    assert.deepEqual(second.placements, first.placements);
+    assert.deepEqual(second.unplaced, first.unplaced);
+});
+
+test('solveWeekSchedule leaves the input schedule untouched', () => {
+    const { state, core } = createFixture();
+    globalThis.SchedulerEngine.solveWeekSchedule(core.buildAutoScheduleInput('A'), { seed: 5 });
+    assert.deepEqual(state.schedule.A, { c1: {}, c2: {} });
+});
+
+test('solveWeekSchedule places a joint lesson only where every linked row has a matching merge', () => {
+    const { state, core, lesson } = createFixture();
+    lesson('lab').jointClassIds = ['c2'];
+    state.merges.A.push(
+        { classId: 'c1', day: 'شنبه', startPeriod: 1, count: 2 },
+        { classId: 'c2', day: 'شنبه', startPeriod: 2, count: 2 },
+    );
+    const solve = () => globalThis.SchedulerEngine.solveWeekSchedule(core.buildAutoScheduleInput('A'), { seed: 5 });
+    assert.deepEqual(solve().unplaced.filter(item => item.lessonId === 'lab'), [{ lessonId: 'lab', reason: 'span' }]);
+
+    state.merges.A[1].startPeriod = 1;
+    const placement = solve().placements.find(item => item.lessonId === 'lab');
+    assert.equal(placement?.day, 'شنبه');
+    assert.equal(placement?.startPeriod, 1);
+});
+
+// Two classes with one room-type lesson each, and a single period to put them in.
+const createRoomInput = (classSizes) => ({
+    lessons: [
+        { id: 'x', classId: 'c1', teacherId: 't1', periods: 1, sessions: 1, roomType: 'آزمایشگاه' },
+        { id: 'y', classId: 'c2', teacherId: 't2', periods: 1, sessions: 1, roomType: 'آزمایشگاه' },
+    ],
+    schedule: { c1: {}, c2: {} },
+    merges: [],
+    unavailable: [],
+    teacherRules: {},
+    rooms: [
+        { id: 'r1', name: 'آزمایشگاه کوچک', type: 'آزمایشگاه', capacity: 20 },
+        { id: 'r2', name: 'آزمایشگاه بزرگ', type: 'آزمایشگاه', capacity: 40 },
+    ],
+    classSizes,
+    days: ['شنبه'],
+    dayPeriods: { 'شنبه': 1 },
+});
+
+test('solveWeekSchedule only counts rooms large enough for the classes', () => {
+    const solve = (classSizes) => globalThis.SchedulerEngine.solveWeekSchedule(createRoomInput(classSizes), { seed: 5 });
+
+    assert.equal(solve({ c1: 10, c2: 30 }).placements.length, 2);
+    const crowded = solve({ c1: 30, c2: 30 });
+    assert.equal(crowded.placements.length, 1);
+    assert.deepEqual(crowded.unplaced.map(item => item.reason), ['room']);
+    assert.deepEqual(solve({ c1: 50, c2: 10 }).unplaced, [{ lessonId: 'x', reason: 'capacity' }]);
+});